@@ -10,18 +10,35 @@ require([
     "esri/Map",
     "esri/views/MapView",
     "esri/layers/FeatureLayer",
+    "esri/layers/GraphicsLayer",
     "esri/widgets/Legend",
     "esri/widgets/Expand",
     "esri/renderers/UniqueValueRenderer",
+    "esri/renderers/HeatmapRenderer",
+    "esri/renderers/ClassBreaksRenderer",
     "esri/symbols/SimpleMarkerSymbol",
     "esri/Graphic",
-    "esri/geometry/Point"
-], function(Map, MapView, FeatureLayer, Legend, Expand, UniqueValueRenderer, SimpleMarkerSymbol, Graphic, Point) {
+    "esri/geometry/Point",
+    "esri/widgets/Sketch/SketchViewModel",
+    "esri/core/reactiveUtils",
+    "esri/identity/OAuthInfo",
+    "esri/identity/IdentityManager",
+    "esri/portal/Portal"
+], function(Map, MapView, FeatureLayer, GraphicsLayer, Legend, Expand, UniqueValueRenderer, HeatmapRenderer, ClassBreaksRenderer, SimpleMarkerSymbol, Graphic, Point, SketchViewModel, reactiveUtils, OAuthInfo, IdentityManager, Portal) {
 
     debugLog('All ArcGIS modules loaded successfully!', 'success');
 
-    const config = {
+    const defaultConfig = {
+        configUrl: "config.json",
+        profileName: "City of Portland, Texas",
+        title: "Portland Water Meter Management System",
+        subtitle: "Municipal Utility Account Updates",
+        logoUrl: "https://www.portlandtx.com/ImageRepository/Document?documentId=4486",
         serviceUrl: "https://services3.arcgis.com/DAf01WuIltSLujAv/arcgis/rest/services/Portland_Meters/FeatureServer/0",
+        mapCenter: [-97.3238, 27.8772],
+        mapZoom: 13,
+        // Roughly zoom 15 - closer than this, clusters and heatmap give way to individual meters
+        streetLevelScale: 18056,
         fieldNames: {
             address: "address",
             account: "Account",
@@ -33,16 +50,73 @@ require([
             class: "Class",
             type: "Type"
         },
+        // fieldNames keys the app can run without (with reduced features) if the layer lacks them
+        optionalFields: ["editDate", "editor", "class", "type"],
         colors: {
             needsUpdate: "#2247fe",
             updated: "#80c940",
-            selected: "#fb7f31"
+            selected: "#fb7f31",
+            pendingSync: "#ffc601"
+        },
+        // Used in order for the most common values when coloring by Class or Type
+        categoryColors: ["#2247fe", "#80c940", "#fb7f31", "#76d0ce", "#ffc601", "#9b59b6", "#e83e8c", "#20c997", "#6f42c1", "#795548"],
+        refreshIntervalMs: 60000,
+        editBatchSize: 100,
+        // Keys into fieldNames, in the order they appear on the edit form
+        editableFields: ["customer", "customerAccount", "class", "type", "accountUpdate"],
+        dashboardDays: 30,
+        routeSize: 10,
+        searchPageSize: 8,
+        // Larger packets make an unreadable map sheet
+        printMaxMeters: 250,
+        quality: {
+            requiredFields: ["address", "account"],
+            colocatedToleranceMeters: 0.5,
+            // Expected shape of a filled-in Account_Update: digits, optionally dash-separated
+            accountUpdatePattern: "^\\d+(-\\d+)*$"
+        },
+        history: {
+            storageKey: "waterMeterEditHistory",
+            maxEntries: 1000
+        },
+        offlineQueue: {
+            dbName: "waterMeterEditQueue",
+            storeName: "pendingEdits"
+        },
+        auth: {
+            // Leave appId empty to run without sign-in (everyone can edit)
+            appId: "",
+            // Add a profile in config.json pointing at a local stand-in portal for testing
+            portalUrl: "https://www.arcgis.com",
+            // Users with any of these privileges, or one of editorRoles (role or roleId), can edit; everyone else is read-only
+            editPrivileges: ["features:user:edit", "features:user:fullEdit"],
+            editorRoles: ["org_admin"]
         }
     };
 
-    debugLog(`Service URL: ${config.serviceUrl}`, 'info');
+    let config = defaultConfig, activeProfileId = null, availableProfiles = {};
+    let currentUser = null;
 
-    let map, view, featureLayer, selectedFeature, highlightGraphic = null;
+    let map, view, featureLayer, queryLayer, selectedFeature, highlightGraphic = null;
+    let pendingLayer, editQueueDb = null, isReplaying = false;
+    let sketchLayer, selectionLayer, sketchViewModel;
+    let heatmapLayer, clusterReduction, displayMode = 'points';
+    let symbology = 'status', rendererSignature = 'status';
+    let selectedBaseAttributes = null, lastSyncEditDate = null, isRefreshing = false;
+    let conflictDialogChain = Promise.resolve();
+    let importState = null, qualityIssues = [], isRestoringUrl = false;
+    const searchState = { results: [], shown: 0, activeIndex: -1 };
+    let searchIndex = null;
+    const selectionState = { features: [], results: null };
+    const routeState = { active: false, watchId: null, position: null, locationGraphic: null, visited: new Set() };
+    // Created by the log in index.html so history entries and log lines share an ID
+    const sessionId = logSessionId;
+    const filterState = { class: '', type: '', status: '', editor: '', from: '', to: '' };
+    const filterInputs = {
+        class: 'filterClass', type: 'filterType', status: 'filterStatus',
+        editor: 'filterEditor', from: 'filterFrom', to: 'filterTo'
+    };
+    const pendingObjectIds = new Set();
 
     debugLog('Starting initialization...', 'info');
     init();
@@ -50,21 +124,247 @@ require([
     async function init() {
         try {
             showLoading(true);
+            config = await loadConfig();
+            debugLog(`Service URL: ${config.serviceUrl}`, 'info');
+            applyBranding();
+            await initIdentity();
             await initMap();
             await loadAllFeatures();
+            await restoreQueuedEdits();
             initSearch();
+            initFilters();
+            initImport();
+            initExport();
+            initPrintPacket();
+            initHistoryView();
+            initDashboard();
+            initRouteMode();
+            initAreaSelection();
+            initQualityReport();
+            initDisplayModes();
+            initSymbologyControl();
             initEventListeners();
             updateStats();
             showLoading(false);
+            initDeepLinks();
             debugLog('APPLICATION INITIALIZED SUCCESSFULLY!', 'success');
+            if (navigator.onLine) replayQueuedEdits();
+            startDeltaRefresh();
         } catch (error) {
             debugLog(`INITIALIZATION ERROR: ${error.message}`, 'error');
             debugLog(`Error stack: ${error.stack}`, 'error');
-            showToast("Failed to initialize application: " + error.message, "error");
+            if (error.configProblems) {
+                showConfigError(error);
+            } else {
+                showToast("Failed to initialize application: " + error.message, "error");
+            }
             showLoading(false);
         }
     }
 
+    // ---- Configuration profiles ----
+
+    // Built-in defaults; config.json (or ?config=<url>) profiles and URL parameters are layered on top
+    async function loadConfig() {
+        const params = new URLSearchParams(window.location.search);
+        const source = params.get('config') || defaultConfig.configUrl;
+        // A link must not be able to point edits or sign-in at someone else's server
+        if (new URL(source, window.location.href).origin !== window.location.origin) {
+            throw new Error(`Configuration must come from this site, not ${source}`);
+        }
+        let file = null;
+        try {
+            const response = await fetch(source, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            file = await response.json();
+        } catch (error) {
+            // Only an explicitly requested file is fatal; a missing config.json falls back to the defaults
+            if (params.get('config')) throw new Error(`Could not load configuration from ${source}: ${error.message}`);
+            debugLog(`Could not load ${source} (${error.message}) - using built-in configuration`, 'warning');
+        }
+        
+        let overrides = {};
+        if (file && file.profiles) {
+            availableProfiles = file.profiles;
+            activeProfileId = params.get('profile') || file.defaultProfile || Object.keys(availableProfiles)[0];
+            if (!availableProfiles[activeProfileId]) {
+                throw new Error(`Unknown profile "${activeProfileId}". Configured profiles: ${Object.keys(availableProfiles).join(', ')}`);
+            }
+            overrides = availableProfiles[activeProfileId];
+        } else if (file) {
+            overrides = file;
+        }
+        
+        // Services and field mappings only come from config.json profiles, never from a link
+        const loaded = deepMerge(deepMerge({}, defaultConfig), overrides);
+        
+        // Queued edits and history belong to one service - keep other services' data apart
+        if (loaded.serviceUrl !== defaultConfig.serviceUrl) {
+            const suffix = hashString(loaded.serviceUrl);
+            if (loaded.offlineQueue.dbName === defaultConfig.offlineQueue.dbName) loaded.offlineQueue.dbName += `-${suffix}`;
+            if (loaded.history.storageKey === defaultConfig.history.storageKey) loaded.history.storageKey += `-${suffix}`;
+        }
+        debugLog(`Configuration loaded${activeProfileId ? ` (profile "${activeProfileId}")` : ''}`, 'success');
+        return loaded;
+    }
+
+    function deepMerge(target, source) {
+        Object.keys(source || {}).forEach(key => {
+            const value = source[key];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                target[key] = deepMerge(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    }
+
+    function hashString(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        return (hash >>> 0).toString(36);
+    }
+
+    function validateFieldMapping() {
+        const layerFields = queryLayer.fields.map(field => field.name);
+        const problems = [];
+        if (queryLayer.objectIdField !== 'OBJECTID') {
+            problems.push(`The layer's object ID field is "${queryLayer.objectIdField}"; this app expects "OBJECTID"`);
+        }
+        Object.keys(config.fieldNames).forEach(key => {
+            const name = config.fieldNames[key];
+            if (layerFields.includes(name)) return;
+            const nearMiss = layerFields.find(field => field.toLowerCase() === String(name).toLowerCase());
+            const message = `fieldNames.${key}: "${name}" is not a field on the layer${nearMiss ? ` - did you mean "${nearMiss}"?` : ''}`;
+            if (config.optionalFields.includes(key)) {
+                debugLog(`${message} (optional, features using it are limited)`, 'warning');
+            } else {
+                problems.push(message);
+            }
+        });
+        if (problems.length) {
+            const error = new Error(`Field mapping does not match the layer: ${problems.join('; ')}`);
+            error.configProblems = problems;
+            error.availableFields = layerFields;
+            throw error;
+        }
+        debugLog('Field mapping validated against layer', 'success');
+    }
+
+    function showConfigError(error) {
+        document.getElementById('configErrorBody').innerHTML = `
+            <p class="conflict-summary">The configuration for <strong>${escapeHtml(config.serviceUrl)}</strong> doesn't match the service:</p>
+            <ul class="config-problems">
+                ${error.configProblems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+            </ul>
+            <p class="import-note">Fields on this layer: ${error.availableFields.map(escapeHtml).join(', ')}</p>
+        `;
+        document.getElementById('configErrorModal').classList.remove('hidden');
+    }
+
+    function applyBranding() {
+        document.title = config.title;
+        document.querySelector('.app-title').textContent = config.title;
+        document.querySelector('.app-subtitle').textContent = config.subtitle;
+        const logo = document.querySelector('.city-logo-clean');
+        logo.src = config.logoUrl;
+        logo.alt = config.profileName;
+        
+        const ids = Object.keys(availableProfiles);
+        const select = document.getElementById('profileSelect');
+        select.innerHTML = ids.map(id => `
+            <option value="${escapeHtml(id)}" ${id === activeProfileId ? 'selected' : ''}>${escapeHtml(availableProfiles[id].profileName || id)}</option>
+        `).join('');
+        select.classList.toggle('hidden', ids.length < 2);
+        select.onchange = () => switchProfile(select.value);
+    }
+
+    function switchProfile(profileId) {
+        const select = document.getElementById('profileSelect');
+        const warnings = [];
+        if (isDetailsDirty()) warnings.push('your unsaved changes to the open meter will be lost');
+        if (pendingObjectIds.size) warnings.push(`${pendingObjectIds.size} queued edit(s) will wait on this device until you switch back`);
+        if (warnings.length && !confirm(`Switch service? Note: ${warnings.join(', and ')}.`)) {
+            select.value = activeProfileId;
+            return;
+        }
+        debugLog(`Switching to profile "${profileId}"`, 'info');
+        // Filters and deep links refer to the old service's data, so start clean
+        const params = new URLSearchParams(window.location.search);
+        const next = new URLSearchParams();
+        if (params.get('config')) next.set('config', params.get('config'));
+        next.set('profile', profileId);
+        window.location.assign(`${window.location.pathname}?${next}`);
+    }
+
+    // ---- Sign-in and editing permissions ----
+
+    async function initIdentity() {
+        const auth = config.auth;
+        if (!auth.appId) {
+            debugLog('No auth.appId configured - running without sign-in, anyone can edit', 'warning');
+            applyEditPermissions();
+            return;
+        }
+        const sharingUrl = `${auth.portalUrl.replace(/\/+$/, '')}/sharing`;
+        IdentityManager.registerOAuthInfos([new OAuthInfo({ appId: auth.appId, portalUrl: auth.portalUrl, popup: false })]);
+        try {
+            await IdentityManager.checkSignInStatus(sharingUrl);
+            const portal = new Portal({ url: auth.portalUrl, authMode: "immediate" });
+            await portal.load();
+            currentUser = describeUser(portal.user);
+            debugLog(`Signed in as ${currentUser.username} (${currentUser.role})${currentUser.canEdit ? '' : ' - read-only'}`, 'success', currentUser);
+        } catch (error) {
+            currentUser = null;
+            debugLog(`Not signed in to ${auth.portalUrl}: ${error.message}`, 'info');
+        }
+        
+        document.getElementById('userPanel').classList.remove('hidden');
+        document.getElementById('userName').textContent = currentUser ? currentUser.fullName : 'Not signed in';
+        document.getElementById('userName').title = currentUser ? `${currentUser.username} · ${currentUser.role}` : '';
+        const button = document.getElementById('signInOut');
+        button.textContent = currentUser ? 'Sign out' : 'Sign in';
+        button.onclick = () => {
+            if (currentUser) {
+                if (!confirmDiscardChanges()) return;
+                IdentityManager.destroyCredentials();
+                window.location.reload();
+            } else {
+                // Redirects to the portal's sign-in page and back here
+                IdentityManager.getCredential(sharingUrl).catch(error => debugLog(`Sign-in cancelled: ${error.message}`, 'info'));
+            }
+        };
+        applyEditPermissions();
+    }
+
+    function describeUser(user) {
+        const auth = config.auth;
+        const privileges = user.privileges || [];
+        return {
+            username: user.username,
+            fullName: user.fullName || user.username,
+            role: user.roleId || user.role,
+            canEdit: privileges.some(privilege => auth.editPrivileges.includes(privilege))
+                || auth.editorRoles.includes(user.role)
+                || auth.editorRoles.includes(user.roleId)
+        };
+    }
+
+    // The service enforces the real permissions - this keeps viewers from being offered edits that will fail
+    function canEdit() {
+        return !config.auth.appId || (!!currentUser && currentUser.canEdit);
+    }
+
+    function applyEditPermissions() {
+        const readOnly = !canEdit();
+        ['openImport', 'batchValue', 'batchSet', 'batchClear'].forEach(id => {
+            document.getElementById(id).classList.toggle('hidden', readOnly);
+        });
+        document.getElementById('filterMine').classList.toggle('hidden', !currentUser);
+        if (readOnly) debugLog('Read-only mode: editing tools hidden', 'info');
+    }
+
     async function initMap() {
         try {
             const viewDiv = document.getElementById('viewDiv');
@@ -73,8 +373,8 @@ require([
             view = new MapView({
                 container: "viewDiv",
                 map: map,
-                center: [-97.3238, 27.8772],
-                zoom: 13
+                center: getUrlViewpoint().center || config.mapCenter,
+                zoom: getUrlViewpoint().zoom || config.mapZoom
             });
 
             featureLayer = new FeatureLayer({
@@ -86,6 +386,15 @@ require([
 
             map.add(featureLayer);
 
+            // Unfiltered twin for data queries - featureLayer's definitionExpression would limit them
+            queryLayer = new FeatureLayer({ url: config.serviceUrl, outFields: ["*"] });
+            await queryLayer.load();
+            validateFieldMapping();
+
+            // Queued offline edits are drawn on top until the server has them
+            pendingLayer = new GraphicsLayer({ title: "Pending Sync", listMode: "hide" });
+            map.add(pendingLayer);
+
             // FIXED: Re-add legend
             const legend = new Legend({ 
                 view: view, 
@@ -110,77 +419,194 @@ require([
         }
     }
 
-    function createSymbologyRenderer() {
-        debugLog('Creating symbology renderer (blue+green)...', 'info');
-        return new UniqueValueRenderer({
-            field: config.fieldNames.accountUpdate,
-            defaultSymbol: new SimpleMarkerSymbol({
-                color: config.colors.needsUpdate,
-                size: 8,
-                outline: { color: "white", width: 1.5 }
-            }),
-            uniqueValueInfos: [
-                { value: null, symbol: new SimpleMarkerSymbol({ color: config.colors.needsUpdate, size: 8, outline: { color: "white", width: 1.5 } }), label: "Needs Update" },
-                { value: "",   symbol: new SimpleMarkerSymbol({ color: config.colors.needsUpdate, size: 8, outline: { color: "white", width: 1.5 } }), label: "Needs Update" },
-                { value: " ",  symbol: new SimpleMarkerSymbol({ color: config.colors.needsUpdate, size: 8, outline: { color: "white", width: 1.5 } }), label: "Needs Update" }
-            ]
-        });
+    async function loadAllFeatures() {
+        const features = await queryAllFeatures("1=1");
+        window.allFeatures = features;
+        lastSyncEditDate = getLatestEditDate(features);
+        debugLog(`Successfully loaded ${features.length} features (all meters!)`, 'success');
+        updateRendererWithData(features);
     }
 
-    async function loadAllFeatures() {
+    async function queryAllFeatures(where) {
         let features = [];
         let offset = 0, batchSize = 1000, hasMoreResults = true;
         while (hasMoreResults) {
-            const query = featureLayer.createQuery();
-            query.where = "1=1";
+            const query = queryLayer.createQuery();
+            query.where = where;
             query.outFields = ["*"];
             query.returnGeometry = true;
+            // Match the view so extents compare directly and lat/long are available for export
+            query.outSpatialReference = view.spatialReference;
             query.start = offset;
             query.num = batchSize;
             debugLog(`Fetching batch starting at ${offset}...`, 'info');
-            const results = await featureLayer.queryFeatures(query);
+            const results = await queryLayer.queryFeatures(query);
             features = features.concat(results.features);
             offset += batchSize;
             hasMoreResults = results.features.length === batchSize;
         }
-        window.allFeatures = features;
-        debugLog(`Successfully loaded ${features.length} features (all meters!)`, 'success');
-        updateRendererWithData(features);
+        return features;
     }
 
-    function updateRendererWithData(features) {
-        debugLog('Updating renderer with blue/green symbology based on Account_Update...', 'info');
-        const uniqueValueInfos = [
-            { value: null, symbol: new SimpleMarkerSymbol({ color: config.colors.needsUpdate, size: 8, outline: { color: "white", width: 1.5 } }), label: "Needs Update" },
-            { value: "",   symbol: new SimpleMarkerSymbol({ color: config.colors.needsUpdate, size: 8, outline: { color: "white", width: 1.5 } }), label: "Needs Update" },
-            { value: " ",  symbol: new SimpleMarkerSymbol({ color: config.colors.needsUpdate, size: 8, outline: { color: "white", width: 1.5 } }), label: "Needs Update" }
-        ];
-        const updatedValues = new Set();
-        features.forEach(f => {
-            const value = f.attributes[config.fieldNames.accountUpdate];
-            if (value && value.toString().trim() !== "") updatedValues.add(value);
-        });
-        updatedValues.forEach(value => {
-            uniqueValueInfos.push({
-                value: value,
-                symbol: new SimpleMarkerSymbol({
-                    color: config.colors.updated,
-                    size: 8,
-                    outline: { color: "white", width: 1.5 }
-                }),
-                label: "Updated"
+    // ---- Incremental refresh of other users' edits ----
+
+    async function startDeltaRefresh() {
+        if (!queryLayer.fields.some(field => field.name === config.fieldNames.editDate)) {
+            debugLog(`No ${config.fieldNames.editDate} field on layer - background refresh disabled`, 'warning');
+            return;
+        }
+        setInterval(refreshChangedFeatures, config.refreshIntervalMs);
+        window.addEventListener('online', refreshChangedFeatures);
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) refreshChangedFeatures();
+        });
+        debugLog(`Background refresh every ${config.refreshIntervalMs / 1000}s`, 'info');
+    }
+
+    async function refreshChangedFeatures() {
+        if (isRefreshing || !navigator.onLine || document.hidden) return;
+        isRefreshing = true;
+        try {
+            // Deletes carry no EditDate, so they only disappear on a full reload
+            const where = lastSyncEditDate === null
+                ? "1=1"
+                : `${config.fieldNames.editDate} >= ${formatSqlTimestamp(lastSyncEditDate)}`;
+            const features = await queryAllFeatures(where);
+            const changed = mergeFeatures(features);
+            lastSyncEditDate = Math.max(lastSyncEditDate || 0, getLatestEditDate(features) || 0) || null;
+            if (changed.length) {
+                debugLog(`Background refresh merged ${changed.length} changed meter(s)`, 'success');
+                refreshDataViews();
+                featureLayer.refresh();
+                if (selectedFeature && changed.includes(selectedFeature.attributes.OBJECTID)) {
+                    const editor = selectedFeature.attributes[config.fieldNames.editor];
+                    showToast(`This meter was just updated by ${escapeHtml(editor || 'another user')}`, 'info');
+                }
+            }
+        } catch (error) {
+            debugLog(`Background refresh failed: ${error.message}`, 'warning');
+        } finally {
+            isRefreshing = false;
+        }
+    }
+
+    function mergeFeatures(features) {
+        const editDateField = config.fieldNames.editDate;
+        const changed = [];
+        features.forEach(incoming => {
+            const objectId = incoming.attributes.OBJECTID;
+            // Local queued values win until they've synced
+            if (pendingObjectIds.has(objectId)) return;
+            const localFeature = findLocalFeature(objectId);
+            if (!localFeature) {
+                window.allFeatures.push(incoming);
+            } else if (localFeature.attributes[editDateField] !== incoming.attributes[editDateField]) {
+                Object.assign(localFeature.attributes, incoming.attributes);
+                localFeature.geometry = incoming.geometry;
+            } else {
+                return;
+            }
+            changed.push(objectId);
+        });
+        return changed;
+    }
+
+    function getLatestEditDate(features) {
+        const dates = features
+            .map(f => f.attributes[config.fieldNames.editDate])
+            .filter(value => typeof value === 'number');
+        return dates.length ? Math.max.apply(null, dates) : null;
+    }
+
+    function formatSqlTimestamp(epochMs) {
+        // Hosted feature services store dates in UTC; round down so nothing on the boundary is missed
+        const iso = new Date(Math.floor(epochMs / 1000) * 1000).toISOString();
+        return `TIMESTAMP '${iso.slice(0, 10)} ${iso.slice(11, 19)}'`;
+    }
+
+    function createMeterSymbol(color) {
+        return new SimpleMarkerSymbol({
+            color: color,
+            size: 8,
+            outline: { color: "white", width: 1.5 }
+        });
+    }
+
+    // One renderer per symbology; none of them grows with the number of distinct Account_Update values
+    function createSymbologyRenderer(symbology = 'status', features = []) {
+        debugLog(`Creating ${symbology} symbology renderer...`, 'info');
+        const fieldNames = config.fieldNames;
+        if (symbology === 'class' || symbology === 'type') {
+            return createCategoryRenderer(fieldNames[symbology], features);
+        }
+        if (symbology === 'age') {
+            return new ClassBreaksRenderer({
+                valueExpression: `IIF(IsEmpty($feature.${fieldNames.editDate}), null, DateDiff(Now(), $feature.${fieldNames.editDate}, 'days'))`,
+                valueExpressionTitle: "Days since last edit",
+                defaultSymbol: createMeterSymbol("#adb5bd"),
+                defaultLabel: "Never edited",
+                classBreakInfos: [
+                    { minValue: -1, maxValue: 7, symbol: createMeterSymbol("#80c940"), label: "This week" },
+                    { minValue: 7, maxValue: 30, symbol: createMeterSymbol("#76d0ce"), label: "8 - 30 days" },
+                    { minValue: 30, maxValue: 90, symbol: createMeterSymbol("#ffc601"), label: "31 - 90 days" },
+                    { minValue: 90, maxValue: 365, symbol: createMeterSymbol("#fb7f31"), label: "91 - 365 days" },
+                    { minValue: 365, maxValue: Number.MAX_VALUE, symbol: createMeterSymbol("#dc3545"), label: "Over a year" }
+                ]
             });
+        }
+        return new UniqueValueRenderer({
+            valueExpression: `IIF(IsEmpty(Trim($feature.${fieldNames.accountUpdate})), "needs", "updated")`,
+            valueExpressionTitle: "Account Update",
+            defaultSymbol: createMeterSymbol(config.colors.needsUpdate),
+            defaultLabel: "Needs Update",
+            uniqueValueInfos: [
+                { value: "needs", symbol: createMeterSymbol(config.colors.needsUpdate), label: "Needs Update" },
+                { value: "updated", symbol: createMeterSymbol(config.colors.updated), label: "Updated" }
+            ]
+        });
+    }
+
+    function createCategoryRenderer(field, features) {
+        // Most common categories get their own color; the long tail shares "Other"
+        const counts = countBy(features, field).filter(([value]) => value !== '(blank)');
+        const shown = counts.slice(0, config.categoryColors.length);
+        return new UniqueValueRenderer({
+            field: field,
+            defaultSymbol: createMeterSymbol("#adb5bd"),
+            defaultLabel: counts.length > shown.length ? "Other / blank" : "Blank",
+            uniqueValueInfos: shown.map(([value], index) => ({
+                value: value,
+                symbol: createMeterSymbol(config.categoryColors[index]),
+                label: value
+            }))
+        });
+    }
+
+    function updateRendererWithData(features) {
+        // Status and edit age are expressions - only category symbologies depend on the data
+        const signature = symbology === 'class' || symbology === 'type'
+            ? `${symbology}:${countBy(features, config.fieldNames[symbology]).slice(0, config.categoryColors.length).map(([value]) => value).join('\u0000')}`
+            : symbology;
+        if (signature === rendererSignature) return;
+        rendererSignature = signature;
+        featureLayer.renderer = createSymbologyRenderer(symbology, features);
+        debugLog(`Renderer updated: ${symbology}`, 'success');
+    }
+
+    function initSymbologyControl() {
+        const select = document.getElementById('symbologySelect');
+        const layerFields = queryLayer.fields.map(field => field.name);
+        const requiredField = { class: 'class', type: 'type', age: 'editDate' };
+        Array.from(select.options).forEach(option => {
+            const key = requiredField[option.value];
+            if (key && !layerFields.includes(config.fieldNames[key])) option.disabled = true;
         });
-        featureLayer.renderer = new UniqueValueRenderer({
-            field: config.fieldNames.accountUpdate,
-            defaultSymbol: new SimpleMarkerSymbol({
-                color: config.colors.needsUpdate,
-                size: 8,
-                outline: { color: "white", width: 1.5 }
-            }),
-            uniqueValueInfos: uniqueValueInfos
+        select.value = symbology;
+        select.addEventListener('change', () => {
+            symbology = select.value;
+            updateRendererWithData(window.allFeatures);
         });
-        debugLog('Renderer updated: Blue for empty Account_Update, Green for filled!', 'success');
+        view.ui.add(document.getElementById('symbologyControl'), "top-right");
     }
 
     function initSearch() {
@@ -201,6 +627,11 @@ require([
                 performSearch(query);
             }, 300);
         });
+        searchInput.addEventListener('keydown', handleSearchKeydown);
+        searchResults.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result-item');
+            if (item) activateSearchItem(item);
+        });
         document.getElementById('clearSearch').addEventListener('click', () => {
             searchInput.value = '';
             searchResults.innerHTML = '';
@@ -208,6 +639,44 @@ require([
         });
     }
 
+    function handleSearchKeydown(e) {
+        const searchResults = document.getElementById('searchResults');
+        const items = Array.from(searchResults.querySelectorAll('.search-result-item.selectable'));
+        if (e.key === 'Escape') {
+            searchResults.classList.add('hidden');
+            return;
+        }
+        if (!items.length || searchResults.classList.contains('hidden')) {
+            // Enter before the debounce fires should still search
+            if (e.key === 'Enter' && e.target.value.trim().length >= 2) performSearch(e.target.value.trim());
+            return;
+        }
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            searchState.activeIndex = (searchState.activeIndex + step + items.length) % items.length;
+            items.forEach((item, index) => item.classList.toggle('active', index === searchState.activeIndex));
+            items[searchState.activeIndex].scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            activateSearchItem(items[Math.max(searchState.activeIndex, 0)]);
+        }
+    }
+
+    function activateSearchItem(item) {
+        const searchResults = document.getElementById('searchResults');
+        if (item.classList.contains('show-more')) {
+            searchState.shown += config.searchPageSize;
+            renderSearchResults();
+            return;
+        }
+        const objectId = item.getAttribute('data-objectid');
+        if (objectId) {
+            selectMeterByObjectId(parseInt(objectId));
+            searchResults.classList.add('hidden');
+        }
+    }
+
     function performSearch(query) {
         debugLog(`Performing search for: "${query}"`, 'info');
         const searchResults = document.getElementById('searchResults');
@@ -216,49 +685,189 @@ require([
             searchResults.classList.remove('hidden');
             return;
         }
-        const results = window.allFeatures.filter(feature => {
-            const address = feature.attributes[config.fieldNames.address];
-            const account = feature.attributes[config.fieldNames.account];
-            return (
-                (address && address.toLowerCase().includes(query.toLowerCase())) ||
-                (account && account.toLowerCase().includes(query.toLowerCase()))
-            );
-        }).slice(0, 8); // Fewer results for smaller panel
+        if (!searchIndex) buildSearchIndex();
+        const queryTokens = tokenizeSearchText(query);
+        const queryCompact = compactSearchText(query);
+        const filtered = isFilterActive() ? new Set(getFilteredFeatures()) : null;
+        
+        searchState.results = searchIndex
+            .filter(entry => !filtered || filtered.has(entry.feature))
+            .map(entry => scoreSearchEntry(entry, queryTokens, queryCompact))
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.sortKey.localeCompare(b.sortKey, undefined, { numeric: true }));
+        searchState.shown = config.searchPageSize;
+        debugLog(`Search found ${searchState.results.length} ranked matches`, 'info');
+        renderSearchResults();
+    }
+
+    function renderSearchResults() {
+        const searchResults = document.getElementById('searchResults');
+        const results = searchState.results;
+        searchState.activeIndex = -1;
         if (results.length === 0) {
             searchResults.innerHTML = '<div class="search-result-item no-results">No meters found</div>';
         } else {
-            searchResults.innerHTML = results.map(feature => {
-                const address = feature.attributes[config.fieldNames.address] || 'No address';
-                const account = feature.attributes[config.fieldNames.account] || 'No account';
-                const customer = feature.attributes[config.fieldNames.customer] || 'No customer';
-                return `
-                    <div class="search-result-item" data-objectid="${feature.attributes.OBJECTID}">
-                        <div class="result-main">${address}</div>
-                        <div class="result-sub">Account: ${account}</div>
+            const remaining = results.length - searchState.shown;
+            searchResults.innerHTML = `
+                <div class="search-result-count">${results.length.toLocaleString()} match${results.length === 1 ? '' : 'es'}</div>
+                ${results.slice(0, searchState.shown).map(result => {
+                    const attrs = result.feature.attributes;
+                    const address = attrs[config.fieldNames.address] || 'No address';
+                    const account = attrs[config.fieldNames.account] || 'No account';
+                    const showMatch = result.fieldKey !== 'address' && result.fieldKey !== 'account';
+                    return `
+                        <div class="search-result-item selectable" data-objectid="${attrs.OBJECTID}">
+                            <div class="result-main">${escapeHtml(address)}</div>
+                            <div class="result-sub">Account: ${escapeHtml(account)}</div>
+                            <div class="result-match">
+                                <span class="match-field">${escapeHtml(searchFieldLabels[result.fieldKey])}</span>
+                                ${showMatch ? escapeHtml(attrs[config.fieldNames[result.fieldKey]]) : ''}
+                                ${result.fuzzy ? '<span class="match-fuzzy">≈ close match</span>' : ''}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+                ${remaining > 0 ? `
+                    <div class="search-result-item selectable show-more">
+                        Show ${Math.min(remaining, config.searchPageSize)} more of ${remaining.toLocaleString()} remaining
                     </div>
-                `;
-            }).join('');
-            searchResults.querySelectorAll('.search-result-item').forEach(item => {
-                item.addEventListener('click', () => {
-                    const objectId = item.getAttribute('data-objectid');
-                    if (objectId) {
-                        selectMeterByObjectId(parseInt(objectId));
-                        searchResults.classList.add('hidden');
-                    }
-                });
-            });
+                ` : ''}
+            `;
         }
         searchResults.classList.remove('hidden');
     }
 
+    // ---- Search index ----
+
+    const searchFieldLabels = { address: 'Address', account: 'Account', customer: 'Customer', customerAccount: 'Customer Account' };
+    const searchFieldWeights = { address: 1, account: 1, customer: 0.9, customerAccount: 0.95 };
+    const identifierFields = ['account', 'customerAccount'];
+    const addressAbbreviations = {
+        st: 'street', str: 'street', ave: 'avenue', av: 'avenue', rd: 'road', dr: 'drive', ln: 'lane',
+        blvd: 'boulevard', ct: 'court', cir: 'circle', pl: 'place', hwy: 'highway', pkwy: 'parkway',
+        trl: 'trail', ter: 'terrace', cv: 'cove', sq: 'square', apt: 'apartment', ste: 'suite',
+        n: 'north', s: 'south', e: 'east', w: 'west', ne: 'northeast', nw: 'northwest', se: 'southeast', sw: 'southwest'
+    };
+
+    function buildSearchIndex() {
+        searchIndex = window.allFeatures.map(feature => {
+            const fields = {};
+            Object.keys(searchFieldLabels).forEach(key => {
+                const value = normalizeValue(feature.attributes[config.fieldNames[key]]);
+                if (!value) return;
+                fields[key] = { tokens: tokenizeSearchText(value), compact: compactSearchText(value) };
+            });
+            return { feature, fields, sortKey: normalizeValue(feature.attributes[config.fieldNames.address]) };
+        });
+        debugLog(`Search index built for ${searchIndex.length} meters`, 'info');
+    }
+
+    function tokenizeSearchText(text) {
+        return text.toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(token => addressAbbreviations[token] || token);
+    }
+
+    function compactSearchText(text) {
+        return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    function scoreSearchEntry(entry, queryTokens, queryCompact) {
+        let best = null;
+        Object.keys(entry.fields).forEach(key => {
+            const field = entry.fields[key];
+            const match = identifierFields.includes(key)
+                ? scoreIdentifier(field.compact, queryCompact)
+                : scoreTokens(field.tokens, queryTokens);
+            if (!match) return;
+            const score = match.score * searchFieldWeights[key];
+            if (!best || score > best.score) best = { score, fieldKey: key, fuzzy: match.fuzzy };
+        });
+        return best ? Object.assign(best, { feature: entry.feature, sortKey: entry.sortKey }) : null;
+    }
+
+    function scoreIdentifier(value, query) {
+        if (!query) return null;
+        if (value === query) return { score: 100 };
+        if (value.startsWith(query)) return { score: 90 };
+        if (query.length >= 3 && value.includes(query)) return { score: 70 };
+        // One slipped digit in a long account number
+        if (query.length >= 5 && Math.abs(value.length - query.length) <= 1 && editDistance(value, query, 1) <= 1) {
+            return { score: 50, fuzzy: true };
+        }
+        return null;
+    }
+
+    // Every query token has to land on some field token; the weakest kind of match sets the score
+    function scoreTokens(fieldTokens, queryTokens) {
+        if (!queryTokens.length) return null;
+        let total = 0, fuzzy = false;
+        for (const queryToken of queryTokens) {
+            let tokenScore = 0;
+            for (const fieldToken of fieldTokens) {
+                let score = 0;
+                if (fieldToken === queryToken) {
+                    score = 1;
+                } else if (fieldToken.startsWith(queryToken)) {
+                    score = 0.85;
+                } else if (queryToken.length >= 3 && fieldToken.includes(queryToken)) {
+                    score = 0.6;
+                } else if (queryToken.length >= 4 && !/^\d+$/.test(queryToken)) {
+                    const allowed = queryToken.length >= 7 ? 2 : 1;
+                    if (Math.abs(fieldToken.length - queryToken.length) <= allowed &&
+                        editDistance(fieldToken, queryToken, allowed) <= allowed) {
+                        score = 0.5;
+                    }
+                }
+                if (score > tokenScore) tokenScore = score;
+                if (tokenScore === 1) break;
+            }
+            if (!tokenScore) return null;
+            if (tokenScore === 0.5) fuzzy = true;
+            total += tokenScore;
+        }
+        // Prefer records whose words line up in the same order as typed
+        const inOrder = fieldTokens.join(' ').includes(queryTokens.join(' ')) ? 5 : 0;
+        return { score: (total / queryTokens.length) * 95 + inOrder, fuzzy };
+    }
+
+    // Optimal string alignment distance, giving up once it exceeds maxDistance
+    function editDistance(a, b, maxDistance) {
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
     async function handleMapClick(event) {
+        // Clicks while drawing a selection area belong to the sketch
+        if (sketchViewModel && sketchViewModel.state === 'active') return;
         debugLog('Map clicked', 'info');
         const response = await view.hitTest(event);
         if (response.results.length > 0) {
             const graphic = response.results.find(result =>
                 result.graphic && result.graphic.layer === featureLayer
             );
-            if (graphic) {
+            if (graphic && graphic.graphic.isAggregate) {
+                debugLog('Cluster clicked - zooming in', 'info');
+                view.goTo({ target: graphic.graphic.geometry, zoom: view.zoom + 2 });
+            } else if (graphic) {
                 debugLog('Feature clicked', 'info');
                 selectMeter(graphic.graphic);
             }
@@ -268,17 +877,22 @@ require([
     function selectMeterByObjectId(objectId) {
         debugLog(`Selecting meter by ObjectID: ${objectId}`, 'info');
         const feature = window.allFeatures.find(f => f.attributes.OBJECTID === objectId);
-        if (feature) {
-            selectMeter(feature);
-            view.goTo({ target: feature.geometry, zoom: 17 });
-        } else {
+        if (!feature) {
             debugLog(`Feature with ObjectID ${objectId} not found`, 'warning');
+            return false;
         }
+        if (!selectMeter(feature)) return false;
+        view.goTo({ target: feature.geometry, zoom: 17 });
+        return true;
     }
 
     function selectMeter(feature) {
         debugLog('Selecting meter', 'info');
-        selectedFeature = feature;
+        if (!confirmDiscardChanges()) return false;
+        selectedFeature = findLocalFeature(feature.attributes.OBJECTID) || feature;
+        // What the user is looking at - conflict checks compare against this, not later refreshes
+        selectedBaseAttributes = Object.assign({}, selectedFeature.attributes);
+        feature = selectedFeature;
         if (highlightGraphic) view.graphics.remove(highlightGraphic);
         highlightGraphic = new Graphic({
             geometry: feature.geometry,
@@ -290,7 +904,9 @@ require([
         });
         view.graphics.add(highlightGraphic);
         showMeterDetails(feature);
+        pushMeterState(feature.attributes.OBJECTID);
         debugLog('Meter selected successfully', 'success');
+        return true;
     }
 
     function showMeterDetails(feature) {
@@ -298,133 +914,930 @@ require([
         const panel = document.getElementById('detailsPanel');
         const content = document.getElementById('detailsContent');
         const attrs = feature.attributes;
+        const readOnlyFields = getReadOnlyFields();
         content.innerHTML = `
             <div class="details-section">
-                <h3 class="section-title">📍 Location Information</h3>
+                <h3 class="section-title">📍 Location Information
+                    <button id="copyMeterLink" type="button" class="link-btn section-link" title="Copy a link to this meter">🔗 Copy link</button>
+                </h3>
                 <div class="detail-group priority">
                     <div class="detail-item">
                         <label>Address:</label>
-                        <span class="detail-value address-highlight">${attrs[config.fieldNames.address] || 'Not specified'}</span>
+                        <span class="detail-value address-highlight">${escapeHtml(attrs[config.fieldNames.address] || 'Not specified')}</span>
                     </div>
                     <div class="detail-item">
                         <label>Account Number:</label>
-                        <span class="detail-value account-highlight">${attrs[config.fieldNames.account] || 'Not specified'}</span>
+                        <span class="detail-value account-highlight">${escapeHtml(attrs[config.fieldNames.account] || 'Not specified')}</span>
                     </div>
                 </div>
             </div>
+            ${readOnlyFields.length ? `
             <div class="details-section">
-                <h3 class="section-title">👤 Customer Information</h3>
+                <h3 class="section-title">📋 Meter Details</h3>
                 <div class="detail-group">
-                    <div class="detail-item">
-                        <label>Customer Name:</label>
-                        <span class="detail-value">${attrs[config.fieldNames.customer] || 'Not specified'}</span>
-                    </div>
-                    <div class="detail-item">
-                        <label>Customer / Account:</label>
-                        <span class="detail-value">${attrs[config.fieldNames.customerAccount] || 'Not specified'}</span>
-                    </div>
+                    ${readOnlyFields.map(field => renderFieldValue(field, attrs[field.name])).join('')}
                 </div>
-            </div>
+            </div>` : ''}
+            ${canEdit() ? `
             <div class="details-section edit-section">
-                <h3 class="section-title">✏️ Account Update</h3>
-                <div class="detail-group">
-                    <div class="detail-item">
-                        <label for="accountUpdateInput">Account Update:</label>
-                        <input type="text"
-                               id="accountUpdateInput"
-                               class="detail-input"
-                               value="${attrs[config.fieldNames.accountUpdate] || ''}"
-                               placeholder="Enter account update information">
-                    </div>
+                <h3 class="section-title">✏️ Edit Meter
+                    <span id="pendingSyncTag" class="pending-sync-tag ${pendingObjectIds.has(attrs.OBJECTID) ? '' : 'hidden'}">⏳ Pending sync</span>
+                </h3>
+                <form id="meterEditForm" class="detail-group" novalidate>
+                    ${getEditableFields().map(field => renderFieldInput(field, attrs[field.name])).join('')}
+                    <div id="dirtyIndicator" class="dirty-indicator hidden">● Unsaved changes</div>
                     <div class="edit-actions">
-                        <button id="saveChanges" class="btn btn-primary">💾 Save</button>
-                        <button id="cancelEdit" class="btn btn-secondary">❌ Cancel</button>
+                        <button id="saveChanges" type="submit" class="btn btn-primary">💾 Save</button>
+                        <button id="cancelEdit" type="button" class="btn btn-secondary">❌ Cancel</button>
                     </div>
-                </div>
+                </form>
+            </div>` : `
+            <p class="read-only-note">🔒 ${currentUser ? 'Your account can view meters but not edit them' : 'Sign in to edit meters'}</p>`}
+            <div class="details-section">
+                <h3 class="section-title">🕘 History</h3>
+                <div id="meterHistory" class="history-list"></div>
             </div>
         `;
+        renderMeterHistory(attrs.OBJECTID);
         content.scrollTop = 0;
         panel.classList.add('visible');
-        document.getElementById('saveChanges').addEventListener('click', saveAccountUpdate);
-        document.getElementById('cancelEdit').addEventListener('click', closeMeterDetails);
+        const form = document.getElementById('meterEditForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                saveMeterEdits();
+            });
+            form.addEventListener('input', updateDirtyIndicator);
+            form.addEventListener('change', updateDirtyIndicator);
+            document.getElementById('cancelEdit').addEventListener('click', closeMeterDetails);
+        }
+        document.getElementById('copyMeterLink').addEventListener('click', copyMeterLink);
         debugLog('Meter details displayed', 'success');
     }
 
-    async function saveAccountUpdate() {
+    // ---- Schema-driven edit form ----
+
+    function getConfiguredFields() {
+        return config.editableFields
+            .map(key => {
+                const field = queryLayer.fields.find(f => f.name === config.fieldNames[key]);
+                if (!field) debugLog(`Editable field "${config.fieldNames[key]}" not found on layer`, 'warning');
+                return field;
+            })
+            .filter(field => !!field);
+    }
+
+    function getEditableFields() {
+        return getConfiguredFields().filter(field => field.editable !== false);
+    }
+
+    // Fields shown as plain values: ones the layer locks, plus everything for read-only users
+    function getReadOnlyFields() {
+        return getConfiguredFields().filter(field => field.editable === false || !canEdit());
+    }
+
+    function renderFieldValue(field, value) {
+        let display = normalizeValue(value);
+        if (field.domain && field.domain.type === 'coded-value') {
+            const coded = field.domain.codedValues.find(cv => String(cv.code) === display);
+            if (coded) display = coded.name;
+        } else if (field.type === 'date' && typeof value === 'number') {
+            display = new Date(value).toLocaleDateString();
+        }
+        return `
+            <div class="detail-item">
+                <label>${escapeHtml(field.alias || field.name)}:</label>
+                <span class="detail-value">${escapeHtml(display || 'Not specified')}</span>
+            </div>
+        `;
+    }
+
+    function renderFieldInput(field, value) {
+        const id = `editField_${field.name}`;
+        const label = `${escapeHtml(field.alias || field.name)}${field.nullable === false ? ' <span class="required-mark">*</span>' : ''}`;
+        const common = `id="${id}" class="detail-input" data-field="${escapeHtml(field.name)}"`;
+        let control;
+        if (field.domain && field.domain.type === 'coded-value') {
+            const codes = field.domain.codedValues;
+            const current = normalizeValue(value);
+            const options = codes.map(cv => `
+                <option value="${escapeHtml(cv.code)}" ${String(cv.code) === current ? 'selected' : ''}>${escapeHtml(cv.name)}</option>
+            `);
+            // Don't silently drop values already stored that aren't in the domain
+            if (current && !codes.some(cv => String(cv.code) === current)) {
+                options.unshift(`<option value="${escapeHtml(current)}" selected>${escapeHtml(current)} (not in list)</option>`);
+            }
+            control = `<select ${common}><option value="">(none)</option>${options.join('')}</select>`;
+        } else if (field.type === 'date') {
+            control = `<input type="date" ${common} value="${formatDateInput(value)}">`;
+        } else if (isNumericField(field)) {
+            control = `<input type="text" inputmode="decimal" ${common} value="${escapeHtml(value)}">`;
+        } else {
+            control = `<input type="text" ${common} value="${escapeHtml(value)}"
+                              ${field.length ? `maxlength="${field.length}"` : ''}
+                              placeholder="Enter ${escapeHtml((field.alias || field.name).toLowerCase())}">`;
+        }
+        return `
+            <div class="detail-item">
+                <label for="${id}">${label}</label>
+                ${control}
+                <div class="field-error hidden" id="${id}_error"></div>
+            </div>
+        `;
+    }
+
+    function isNumericField(field) {
+        return ['small-integer', 'integer', 'long', 'single', 'double'].includes(field.type);
+    }
+
+    function formatDateInput(value) {
+        if (typeof value !== 'number') return '';
+        const date = new Date(value);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function readFieldValue(field, raw) {
+        if (raw === '') return field.type === 'string' && !field.domain ? '' : null;
+        if (field.domain && field.domain.type === 'coded-value') {
+            const codedValue = field.domain.codedValues.find(cv => String(cv.code) === raw);
+            return codedValue ? codedValue.code : raw;
+        }
+        if (field.type === 'date') return parseFilterDate(raw);
+        if (['small-integer', 'integer', 'long'].includes(field.type)) return parseInt(raw, 10);
+        if (isNumericField(field)) return parseFloat(raw);
+        return raw;
+    }
+
+    function validateField(field, raw) {
+        const label = field.alias || field.name;
+        if (raw === '') return field.nullable === false ? `${label} is required` : null;
+        if (field.type === 'string' && field.length && raw.length > field.length) {
+            return `${label} must be ${field.length} characters or fewer`;
+        }
+        if (['small-integer', 'integer', 'long'].includes(field.type)) {
+            if (!/^-?\d+$/.test(raw)) return `${label} must be a whole number`;
+            const limit = field.type === 'small-integer' ? 32767 : 2147483647;
+            if (Math.abs(parseInt(raw, 10)) > limit) return `${label} is out of range`;
+        } else if (isNumericField(field) && !isFinite(Number(raw))) {
+            return `${label} must be a number`;
+        }
+        if (field.domain && field.domain.type === 'range') {
+            const number = Number(raw);
+            if (number < field.domain.minValue || number > field.domain.maxValue) {
+                return `${label} must be between ${field.domain.minValue} and ${field.domain.maxValue}`;
+            }
+        }
+        return null;
+    }
+
+    // Returns { values, errors } for every field in the open form
+    function readEditForm() {
+        const values = {}, errors = {};
+        getEditableFields().forEach(field => {
+            const control = document.querySelector(`#meterEditForm [data-field="${field.name}"]`);
+            if (!control) return;
+            const raw = control.value.trim();
+            const error = validateField(field, raw);
+            if (error) {
+                errors[field.name] = error;
+            } else {
+                values[field.name] = readFieldValue(field, raw);
+            }
+        });
+        return { values, errors };
+    }
+
+    function getChangedAttributes(values) {
+        const base = selectedBaseAttributes || {};
+        const changed = {};
+        Object.keys(values).forEach(field => {
+            if (normalizeValue(values[field]) !== normalizeValue(base[field])) changed[field] = values[field];
+        });
+        return changed;
+    }
+
+    function showFieldErrors(errors) {
+        document.querySelectorAll('#meterEditForm [data-field]').forEach(control => {
+            const message = errors[control.getAttribute('data-field')];
+            const errorEl = document.getElementById(`${control.id}_error`);
+            control.classList.toggle('invalid', !!message);
+            errorEl.textContent = message || '';
+            errorEl.classList.toggle('hidden', !message);
+        });
+    }
+
+    function isDetailsDirty() {
+        if (!selectedFeature || !document.getElementById('meterEditForm')) return false;
+        const form = readEditForm();
+        // Invalid input still counts as something the user typed
+        return Object.keys(form.errors).length > 0 || Object.keys(getChangedAttributes(form.values)).length > 0;
+    }
+
+    function updateDirtyIndicator() {
+        const indicator = document.getElementById('dirtyIndicator');
+        if (indicator) indicator.classList.toggle('hidden', !isDetailsDirty());
+    }
+
+    function confirmDiscardChanges() {
+        if (!isDetailsDirty()) return true;
+        return confirm('You have unsaved changes to this meter. Discard them?');
+    }
+
+    async function saveMeterEdits() {
         // FIXED: Don't freeze on save
         const saveBtn = document.getElementById('saveChanges');
-        const input = document.getElementById('accountUpdateInput');
         
-        if (!selectedFeature || !saveBtn || !input) return;
+        if (!selectedFeature || !saveBtn) return;
+        
+        const form = readEditForm();
+        showFieldErrors(form.errors);
+        if (Object.keys(form.errors).length) {
+            debugLog(`Validation failed: ${Object.values(form.errors).join('; ')}`, 'warning');
+            showToast('Please fix the highlighted fields ❌', 'error');
+            return;
+        }
+        const attributes = getChangedAttributes(form.values);
+        if (!Object.keys(attributes).length) {
+            showToast('No changes to save', 'info');
+            return;
+        }
+        
+        const objectId = selectedFeature.attributes.OBJECTID;
+        const previous = pickAttributes(selectedBaseAttributes || selectedFeature.attributes, Object.keys(attributes));
         
         try {
-            debugLog('Saving account update...', 'info');
-            const newValue = input.value.trim();
+            debugLog('Saving meter edits...', 'info');
             
             // Disable button to prevent double-clicks
             saveBtn.disabled = true;
             saveBtn.textContent = '💾 Saving...';
             
-            // Clone the feature for editing
-            const updatedFeature = selectedFeature.clone();
-            updatedFeature.attributes[config.fieldNames.accountUpdate] = newValue;
-            
-            const edits = { updateFeatures: [updatedFeature] };
-            
-            debugLog('Applying edits to feature layer...', 'info');
-            debugLog(`Updating OBJECTID ${updatedFeature.attributes.OBJECTID} with value: "${newValue}"`, 'info');
-            
-            const result = await featureLayer.applyEdits(edits);
-            debugLog(`Edit result: ${JSON.stringify(result)}`, 'info');
+            debugLog(`Updating OBJECTID ${objectId} with: ${JSON.stringify(attributes)}`, 'info');
+            const outcome = await commitMeterEdit(objectId, attributes);
             
-            if (result.updateFeatureResults && result.updateFeatureResults.length > 0) {
-                const updateResult = result.updateFeatureResults[0];
-                debugLog(`Update result success: ${updateResult.success}`, 'info');
-                debugLog(`Update result error: ${updateResult.error}`, 'info');
-                
-                // Success or null error (which still works)
-                if (updateResult.success || updateResult.error === null) {
-                    debugLog('Save successful!', 'success');
-                    showToast('Account update saved successfully! ✅', 'success');
-                    
-                    // Update local data
-                    const localFeature = window.allFeatures.find(f =>
-                        f.attributes.OBJECTID === selectedFeature.attributes.OBJECTID
-                    );
-                    if (localFeature) {
-                        localFeature.attributes[config.fieldNames.accountUpdate] = newValue;
-                    }
-                    selectedFeature.attributes[config.fieldNames.accountUpdate] = newValue;
-                    
-                    // Update renderer and stats
-                    updateRendererWithData(window.allFeatures);
-                    updateStats();
-                    
-                    // FIXED: Don't close panel, just reset button
-                    saveBtn.disabled = false;
-                    saveBtn.textContent = '💾 Save';
-                    
+            if (outcome.status === 'kept') {
+                debugLog('Kept the other editor\'s values', 'info');
+                showToast('Kept the other editor\'s changes', 'info');
+            } else {
+                const entry = recordHistory(objectId, previous, outcome.attributes, outcome.status);
+                const undo = { label: 'Undo', onClick: () => undoHistoryEntry(entry) };
+                if (outcome.status === 'queued' && !navigator.onLine) {
+                    showToast('No connection - update saved on this device and will sync automatically ⏳', 'info', undo);
                 } else {
-                    throw new Error(updateResult.error || 'Update failed');
+                    debugLog('Save successful!', 'success');
+                    showToast('Meter changes saved successfully! ✅', 'success', undo);
+                }
+                if (routeState.active && isUpdated(selectedFeature)) {
+                    debugLog('Route mode: advancing to next meter', 'info');
+                    advanceRoute();
                 }
-            } else {
-                throw new Error('No update results returned');
             }
+            showFieldErrors({});
             
         } catch (error) {
             debugLog(`SAVE ERROR: ${error.message}`, 'error');
             showToast('Failed to save changes. Please try again. ❌', 'error');
-            
-            // Re-enable button
-            if (saveBtn) {
-                saveBtn.disabled = false;
-                saveBtn.textContent = '💾 Save';
-            }
+        } finally {
+            // FIXED: Don't close panel, just reset button
+            saveBtn.disabled = false;
+            saveBtn.textContent = '💾 Save';
+            updateDirtyIndicator();
         }
     }
 
+    // Saves now if possible, otherwise queues; local data is updated either way
+    async function commitMeterEdit(objectId, attributes) {
+        // Meters with edits already waiting go through the queue so they stay in order
+        if (navigator.onLine && !pendingObjectIds.has(objectId)) {
+            try {
+                const outcome = await submitEdit(objectId, attributes, snapshotBaseAttributes(objectId, attributes));
+                applyLocalAttributes(objectId, outcome.attributes);
+                return outcome;
+            } catch (error) {
+                // The server answered and said no - queueing would just fail again
+                if (error.rejected) throw error;
+                debugLog(`applyEdits failed, queueing edit offline: ${error.message}`, 'warning');
+            }
+        }
+        
+        await queueEdit(objectId, attributes);
+        debugLog(`Edit for OBJECTID ${objectId} queued for sync`, 'warning', { objectId: objectId, newValues: attributes });
+        applyLocalAttributes(objectId, attributes);
+        if (navigator.onLine) replayQueuedEdits();
+        return { status: 'queued', attributes: attributes };
+    }
+
+    // ---- Edit history and undo ----
+
+    function loadEditHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(config.history.storageKey)) || [];
+        } catch (error) {
+            debugLog(`Could not read edit history: ${error.message}`, 'error');
+            return [];
+        }
+    }
+
+    function recordHistory(objectId, previous, attributes, status, undoOf = null) {
+        const entry = createHistoryEntry(objectId, previous, attributes, status, undoOf);
+        appendHistory([entry]);
+        return entry;
+    }
+
+    function createHistoryEntry(objectId, previous, attributes, status, undoOf = null) {
+        const localFeature = findLocalFeature(objectId);
+        const changes = {};
+        Object.keys(attributes).forEach(field => {
+            changes[field] = {
+                oldValue: previous[field] === undefined ? null : previous[field],
+                newValue: attributes[field]
+            };
+        });
+        return {
+            id: `${sessionId}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            objectId: objectId,
+            address: localFeature ? localFeature.attributes[config.fieldNames.address] || null : null,
+            changes: changes,
+            timestamp: Date.now(),
+            // Queued edits don't know their Editor until the server stamps them
+            editor: status === 'saved' && localFeature ? localFeature.attributes[config.fieldNames.editor] || null : null,
+            sessionId: sessionId,
+            status: status,
+            undoOf: undoOf
+        };
+    }
+
+    function appendHistory(entries) {
+        try {
+            const history = loadEditHistory().concat(entries);
+            localStorage.setItem(config.history.storageKey, JSON.stringify(history.slice(-config.history.maxEntries)));
+        } catch (error) {
+            debugLog(`Could not write edit history: ${error.message}`, 'error');
+        }
+        debugLog(`History recorded for ${entries.length} edit(s)`, 'info');
+        if (selectedFeature && entries.some(entry => isSelected(entry.objectId))) {
+            renderMeterHistory(selectedFeature.attributes.OBJECTID);
+        }
+        if (!document.getElementById('historyModal').classList.contains('hidden')) renderHistoryView();
+    }
+
+    async function undoHistoryEntry(entry) {
+        const attributes = {};
+        Object.keys(entry.changes).forEach(field => { attributes[field] = entry.changes[field].oldValue; });
+        const localFeature = findLocalFeature(entry.objectId);
+        const previous = localFeature ? pickAttributes(localFeature.attributes, Object.keys(attributes)) : {};
+        try {
+            debugLog(`Undoing edit ${entry.id} on OBJECTID ${entry.objectId}`, 'info');
+            const outcome = await commitMeterEdit(entry.objectId, attributes);
+            if (outcome.status === 'kept') {
+                showToast('Undo cancelled - kept the other editor\'s changes', 'info');
+                return;
+            }
+            recordHistory(entry.objectId, previous, outcome.attributes, outcome.status, entry.id);
+            showToast('Change undone ↩️', 'success');
+        } catch (error) {
+            debugLog(`UNDO ERROR: ${error.message}`, 'error');
+            showToast('Could not undo the change ❌', 'error');
+        }
+    }
+
+    function renderHistoryItem(entry, showMeter) {
+        const fieldRows = Object.keys(entry.changes).map(field => `
+            <div class="history-change">
+                <strong>${escapeHtml(field)}</strong>:
+                <span class="history-old">${escapeHtml(normalizeValue(entry.changes[field].oldValue) || '(blank)')}</span>
+                → <span class="history-new">${escapeHtml(normalizeValue(entry.changes[field].newValue) || '(blank)')}</span>
+            </div>
+        `).join('');
+        return `
+            <div class="history-item${showMeter ? ' clickable' : ''}" data-objectid="${entry.objectId}">
+                ${showMeter ? `<div class="history-meter">${escapeHtml(entry.address || `Meter ${entry.objectId}`)}</div>` : ''}
+                <div class="history-meta">
+                    ${new Date(entry.timestamp).toLocaleString()} · ${escapeHtml(entry.editor || 'this device')}
+                    ${entry.undoOf ? '<span class="history-tag">undo</span>' : ''}
+                    ${entry.status === 'queued' || entry.status === 'bulk' ? `<span class="history-tag">${entry.status}</span>` : ''}
+                </div>
+                ${fieldRows}
+            </div>
+        `;
+    }
+
+    function renderMeterHistory(objectId) {
+        const container = document.getElementById('meterHistory');
+        if (!container) return;
+        const entries = loadEditHistory().filter(entry => entry.objectId === objectId).reverse();
+        container.innerHTML = entries.length
+            ? entries.map(entry => renderHistoryItem(entry, false)).join('')
+            : '<p class="history-empty">No edits recorded on this device yet.</p>';
+    }
+
+    function initHistoryView() {
+        const modal = document.getElementById('historyModal');
+        document.getElementById('openHistory').addEventListener('click', () => {
+            renderHistoryView();
+            modal.classList.remove('hidden');
+        });
+        document.getElementById('closeHistory').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('historySessionOnly').addEventListener('change', renderHistoryView);
+        document.getElementById('historyList').addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            if (!item) return;
+            modal.classList.add('hidden');
+            selectMeterByObjectId(parseInt(item.getAttribute('data-objectid')));
+        });
+    }
+
+    function renderHistoryView() {
+        const sessionOnly = document.getElementById('historySessionOnly').checked;
+        const entries = loadEditHistory()
+            .filter(entry => !sessionOnly || entry.sessionId === sessionId)
+            .reverse();
+        document.getElementById('historyList').innerHTML = entries.length
+            ? entries.map(entry => renderHistoryItem(entry, true)).join('')
+            : `<p class="history-empty">No edits ${sessionOnly ? 'in this session' : 'recorded on this device'} yet.</p>`;
+    }
+
+    // Re-checks the meter on the server before writing so concurrent edits aren't clobbered
+    async function submitEdit(objectId, attributes, baseAttributes) {
+        try {
+            return await submitEditOnce(objectId, attributes, baseAttributes);
+        } catch (error) {
+            // The server answered (bad value, no permission, expired token) - queueing would just fail again
+            if (isServerResponseError(error)) error.rejected = true;
+            throw error;
+        }
+    }
+
+    // Only a request that never got an answer counts as offline
+    function isServerResponseError(error) {
+        const details = error && error.details;
+        return !!details && (details.httpStatus > 0 || !!details.messageCode);
+    }
+
+    async function submitEditOnce(objectId, attributes, baseAttributes) {
+        let toApply = attributes;
+        const conflict = await checkForConflict(objectId, attributes, baseAttributes);
+        if (conflict) {
+            const resolution = await showConflictDialog(objectId, attributes, conflict);
+            debugLog(`Conflict on OBJECTID ${objectId} resolved with: ${resolution.action}`, 'info', {
+                objectId: objectId,
+                base: baseAttributes,
+                server: pickAttributes(conflict.server, Object.keys(attributes)),
+                local: attributes,
+                resolution: resolution
+            });
+            if (resolution.action === 'keep') {
+                syncAuditFields(objectId, conflict.server);
+                return { status: 'kept', attributes: pickAttributes(conflict.server, Object.keys(attributes)) };
+            }
+            toApply = resolution.attributes;
+        }
+        
+        await applyAttributeEdits(objectId, toApply);
+        
+        try {
+            syncAuditFields(objectId, await fetchServerAttributes(objectId));
+        } catch (error) {
+            debugLog(`Could not refresh EditDate/Editor after save: ${error.message}`, 'warning');
+        }
+        return { status: 'saved', attributes: toApply };
+    }
+
+    async function fetchServerAttributes(objectId) {
+        const query = queryLayer.createQuery();
+        query.objectIds = [objectId];
+        query.outFields = ["*"];
+        query.returnGeometry = false;
+        const results = await queryLayer.queryFeatures(query);
+        return results.features.length ? results.features[0].attributes : null;
+    }
+
+    async function checkForConflict(objectId, attributes, baseAttributes) {
+        const server = await fetchServerAttributes(objectId);
+        if (!server) {
+            const error = new Error(`Meter ${objectId} no longer exists on the server`);
+            error.rejected = true;
+            throw error;
+        }
+        const editDateField = config.fieldNames.editDate;
+        if (server[editDateField] === baseAttributes[editDateField]) return null;
+        
+        // Someone saved since load - only a problem if they touched what we're writing
+        const fields = Object.keys(attributes).filter(field =>
+            normalizeValue(server[field]) !== normalizeValue(baseAttributes[field]) &&
+            normalizeValue(server[field]) !== normalizeValue(attributes[field])
+        );
+        debugLog(`OBJECTID ${objectId} changed on server since load; conflicting fields: ${fields.join(', ') || 'none'}`, 'warning');
+        return fields.length ? { server, fields } : null;
+    }
+
+    // The modal is shared - a second conflict (say, from a background replay) waits for the first
+    function showConflictDialog(objectId, attributes, conflict) {
+        const dialog = conflictDialogChain.then(() => openConflictDialog(objectId, attributes, conflict));
+        conflictDialogChain = dialog.catch(() => {});
+        return dialog;
+    }
+
+    function openConflictDialog(objectId, attributes, conflict) {
+        const modal = document.getElementById('conflictModal');
+        const body = document.getElementById('conflictBody');
+        const editDate = conflict.server[config.fieldNames.editDate];
+        const editor = conflict.server[config.fieldNames.editor];
+        const feature = findLocalFeature(objectId);
+        const address = feature ? feature.attributes[config.fieldNames.address] : null;
+        
+        body.innerHTML = `
+            <p class="conflict-summary">
+                <strong>${escapeHtml(address || `Meter ${objectId}`)}</strong> was changed by
+                <strong>${escapeHtml(editor || 'another user')}</strong>
+                ${editDate ? `on ${new Date(editDate).toLocaleString()}` : ''} after you loaded it.
+            </p>
+            <table class="conflict-table">
+                <thead><tr><th>Field</th><th>Theirs</th><th>Mine</th><th>Merged</th></tr></thead>
+                <tbody>
+                    ${conflict.fields.map(field => `
+                        <tr>
+                            <td class="conflict-field">${escapeHtml(field)}</td>
+                            <td>${escapeHtml(normalizeValue(conflict.server[field]) || '(blank)')}</td>
+                            <td>${escapeHtml(normalizeValue(attributes[field]) || '(blank)')}</td>
+                            <td><input type="text" class="detail-input conflict-merge-input" data-field="${escapeHtml(field)}"
+                                       value="${escapeHtml(mergeValues(conflict.server[field], attributes[field]))}"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        modal.classList.remove('hidden');
+        
+        return new Promise(resolve => {
+            const finish = (action, resolved) => {
+                modal.classList.add('hidden');
+                resolve({ action, attributes: resolved });
+            };
+            document.getElementById('conflictKeep').onclick = () => finish('keep');
+            document.getElementById('conflictOverwrite').onclick = () => finish('overwrite', attributes);
+            document.getElementById('conflictMerge').onclick = () => {
+                const merged = Object.assign({}, attributes);
+                body.querySelectorAll('.conflict-merge-input').forEach(mergeInput => {
+                    merged[mergeInput.getAttribute('data-field')] = mergeInput.value.trim();
+                });
+                finish('merge', merged);
+            };
+        });
+    }
+
+    function mergeValues(theirs, mine) {
+        const a = normalizeValue(theirs), b = normalizeValue(mine);
+        if (!a || !b || a === b) return b || a;
+        return `${a}; ${b}`;
+    }
+
+    function syncAuditFields(objectId, serverAttributes) {
+        if (!serverAttributes) return;
+        const auditAttributes = pickAttributes(serverAttributes, [config.fieldNames.editDate, config.fieldNames.editor]);
+        const localFeature = findLocalFeature(objectId);
+        if (localFeature) Object.assign(localFeature.attributes, auditAttributes);
+        if (isSelected(objectId)) {
+            Object.assign(selectedFeature.attributes, auditAttributes);
+            Object.assign(selectedBaseAttributes, auditAttributes);
+        }
+    }
+
+    function snapshotBaseAttributes(objectId, attributes) {
+        const fields = [config.fieldNames.editDate].concat(Object.keys(attributes));
+        if (isSelected(objectId) && selectedBaseAttributes) return pickAttributes(selectedBaseAttributes, fields);
+        const localFeature = findLocalFeature(objectId);
+        return localFeature ? pickAttributes(localFeature.attributes, fields) : {};
+    }
+
+    function isSelected(objectId) {
+        return !!selectedFeature && selectedFeature.attributes.OBJECTID === objectId;
+    }
+
+    function pickAttributes(source, fields) {
+        const picked = {};
+        fields.forEach(field => { picked[field] = source[field] !== undefined ? source[field] : null; });
+        return picked;
+    }
+
+    function normalizeValue(value) {
+        return value === null || value === undefined ? '' : value.toString().trim();
+    }
+
+    async function applyAttributeEdits(objectId, attributes) {
+        const localFeature = findLocalFeature(objectId);
+        const logContext = {
+            objectId: objectId,
+            oldValues: localFeature ? pickAttributes(localFeature.attributes, Object.keys(attributes)) : null,
+            newValues: attributes
+        };
+        debugLog(`Applying edits to OBJECTID ${objectId}...`, 'info', logContext);
+        let result;
+        try {
+            result = await featureLayer.applyEdits({ updateFeatures: [createUpdateGraphic(objectId, attributes)] });
+        } catch (error) {
+            debugLog(`applyEdits request failed for OBJECTID ${objectId}: ${error.message}`, 'error', Object.assign({}, logContext, { error: error.message }));
+            throw error;
+        }
+        logContext.result = result;
+        
+        const updateResult = result.updateFeatureResults && result.updateFeatureResults[0];
+        if (!updateResult) {
+            debugLog(`No update result returned for OBJECTID ${objectId}`, 'error', logContext);
+            const error = new Error('No update results returned');
+            error.rejected = true;
+            throw error;
+        }
+        
+        // Success or null error (which still works)
+        if (!(updateResult.success || updateResult.error === null)) {
+            debugLog(`Server rejected edit to OBJECTID ${objectId}`, 'error', logContext);
+            const error = new Error((updateResult.error && updateResult.error.message) || 'Update failed');
+            error.rejected = true;
+            throw error;
+        }
+        debugLog(`Saved OBJECTID ${objectId}${updateResult.success ? '' : ' (no success flag, null error)'}`, updateResult.success ? 'success' : 'warning', logContext);
+        return updateResult;
+    }
+
+    // Bulk edits skip the per-meter conflict check; callers are overwriting on purpose
+    async function applyEditsInBatches(updates, onProgress) {
+        const results = [];
+        for (let i = 0; i < updates.length; i += config.editBatchSize) {
+            const batch = updates.slice(i, i + config.editBatchSize);
+            debugLog(`Applying edit batch ${i / config.editBatchSize + 1} (${batch.length} meters)...`, 'info');
+            try {
+                const response = await featureLayer.applyEdits({
+                    updateFeatures: batch.map(update => createUpdateGraphic(update.objectId, update.attributes))
+                });
+                const batchResults = response.updateFeatureResults || [];
+                batch.forEach((update, index) => {
+                    const updateResult = batchResults[index];
+                    const error = !updateResult
+                        ? 'No update result returned'
+                        : updateResult.error ? (updateResult.error.message || String(updateResult.error)) : null;
+                    if (error) {
+                        debugLog(`Batch edit to OBJECTID ${update.objectId} failed: ${error}`, 'error', {
+                            objectId: update.objectId,
+                            newValues: update.attributes,
+                            result: updateResult || null
+                        });
+                    }
+                    results.push({ objectId: update.objectId, success: !error, error: error });
+                });
+            } catch (error) {
+                debugLog(`Edit batch failed: ${error.message}`, 'error', { objectIds: batch.map(update => update.objectId) });
+                batch.forEach(update => results.push({ objectId: update.objectId, success: false, error: error.message }));
+            }
+            if (onProgress) onProgress(Math.min(i + batch.length, updates.length), updates.length);
+        }
+        
+        const updatesById = new Map(updates.map(update => [update.objectId, update.attributes]));
+        const historyEntries = [];
+        results.filter(r => r.success).forEach(r => {
+            const attributes = updatesById.get(r.objectId);
+            const localFeature = findLocalFeature(r.objectId);
+            const previous = localFeature ? pickAttributes(localFeature.attributes, Object.keys(attributes)) : {};
+            historyEntries.push(createHistoryEntry(r.objectId, previous, attributes, 'bulk'));
+            setLocalAttributes(r.objectId, attributes);
+        });
+        if (historyEntries.length) appendHistory(historyEntries);
+        refreshDataViews();
+        if (results.some(r => r.success)) featureLayer.refresh();
+        debugLog(`Batch edits finished: ${results.filter(r => r.success).length}/${results.length} succeeded`, 'info');
+        return results;
+    }
+
+    function createUpdateGraphic(objectId, attributes) {
+        return new Graphic({
+            attributes: Object.assign({ OBJECTID: objectId }, attributes)
+        });
+    }
+
+    function findLocalFeature(objectId) {
+        return window.allFeatures ? window.allFeatures.find(f => f.attributes.OBJECTID === objectId) : null;
+    }
+
+    function applyLocalAttributes(objectId, attributes) {
+        setLocalAttributes(objectId, attributes);
+        refreshDataViews();
+    }
+
+    function setLocalAttributes(objectId, attributes) {
+        const localFeature = findLocalFeature(objectId);
+        if (localFeature) Object.assign(localFeature.attributes, attributes);
+        if (isSelected(objectId)) {
+            Object.assign(selectedFeature.attributes, attributes);
+            if (selectedBaseAttributes) Object.assign(selectedBaseAttributes, attributes);
+            Object.keys(attributes).forEach(field => {
+                const control = document.querySelector(`#meterEditForm [data-field="${field}"]`);
+                if (!control) return;
+                control.value = control.type === 'date' ? formatDateInput(attributes[field]) : normalizeValue(attributes[field]);
+            });
+        }
+    }
+
+    // Everything derived from window.allFeatures is redrawn here after local data changes
+    function refreshDataViews() {
+        searchIndex = null;
+        updateRendererWithData(window.allFeatures);
+        populateFilterOptions();
+        updateStats();
+        renderPendingGraphics();
+        updatePendingIndicator();
+        if (isDashboardOpen()) renderDashboard();
+        renderRouteList();
+        // The heatmap is its own layer on the service - re-query it so updated meters drop out
+        if (heatmapLayer) heatmapLayer.refresh();
+    }
+
+    // ---- Offline edit queue (IndexedDB) ----
+
+    function openEditQueue() {
+        if (editQueueDb) return Promise.resolve(editQueueDb);
+        if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(config.offlineQueue.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(config.offlineQueue.storeName, { keyPath: 'objectId' });
+            };
+            request.onsuccess = () => {
+                editQueueDb = request.result;
+                resolve(editQueueDb);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function runQueueRequest(mode, operation) {
+        const db = await openEditQueue();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(config.offlineQueue.storeName, mode);
+            const request = operation(transaction.objectStore(config.offlineQueue.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async function queueEdit(objectId, attributes) {
+        // Later edits to the same meter are folded into the one queued entry
+        const existing = await runQueueRequest('readonly', store => store.get(objectId));
+        await runQueueRequest('readwrite', store => store.put({
+            objectId: objectId,
+            attributes: Object.assign({}, existing ? existing.attributes : {}, attributes),
+            // Values as last seen from the server, used for conflict checks on replay
+            baseAttributes: Object.assign(snapshotBaseAttributes(objectId, attributes), existing ? existing.baseAttributes : {}),
+            queuedAt: Date.now()
+        }));
+        pendingObjectIds.add(objectId);
+        updatePendingBadge();
+    }
+
+    async function restoreQueuedEdits() {
+        try {
+            const entries = await runQueueRequest('readonly', store => store.getAll());
+            entries.forEach(entry => {
+                pendingObjectIds.add(entry.objectId);
+                const localFeature = findLocalFeature(entry.objectId);
+                if (localFeature) Object.assign(localFeature.attributes, entry.attributes);
+            });
+            if (entries.length) {
+                debugLog(`Restored ${entries.length} queued edit(s) from this device`, 'warning');
+                updateRendererWithData(window.allFeatures);
+                renderPendingGraphics();
+            }
+        } catch (error) {
+            debugLog(`Could not read offline edit queue: ${error.message}`, 'error');
+        }
+        updatePendingBadge();
+    }
+
+    async function replayQueuedEdits() {
+        if (isReplaying || !pendingObjectIds.size) return;
+        isReplaying = true;
+        let synced = 0, superseded = false;
+        try {
+            const entries = await runQueueRequest('readonly', store => store.getAll());
+            debugLog(`Replaying ${entries.length} queued edit(s)...`, 'info');
+            for (const entry of entries) {
+                let saved = null;
+                try {
+                    const outcome = await submitEdit(entry.objectId, entry.attributes, entry.baseAttributes || {});
+                    saved = outcome.attributes;
+                    if (outcome.status === 'saved') synced++;
+                } catch (error) {
+                    if (!error.rejected) {
+                        debugLog(`Replay stopped, still offline: ${error.message}`, 'warning');
+                        break;
+                    }
+                    debugLog(`Server rejected queued edit for OBJECTID ${entry.objectId}: ${error.message}`, 'error', {
+                        objectId: entry.objectId,
+                        newValues: entry.attributes,
+                        queuedAt: entry.queuedAt
+                    });
+                    showToast(`Queued edit for meter ${entry.objectId} was rejected by the server ❌`, 'error');
+                }
+                if (await removeReplayedEdit(entry, saved)) {
+                    pendingObjectIds.delete(entry.objectId);
+                    if (saved) {
+                        applyLocalAttributes(entry.objectId, saved);
+                    } else {
+                        await revertRejectedEdit(entry);
+                    }
+                } else {
+                    debugLog(`OBJECTID ${entry.objectId} was edited again during replay - newer edit stays queued`, 'info');
+                    superseded = true;
+                }
+            }
+        } catch (error) {
+            debugLog(`REPLAY ERROR: ${error.message}`, 'error');
+        } finally {
+            isReplaying = false;
+            updatePendingBadge();
+            renderPendingGraphics();
+            updatePendingIndicator();
+        }
+        if (synced > 0) {
+            featureLayer.refresh();
+            showToast(`${synced} queued update(s) synced ✅`, 'success');
+        }
+        if (superseded && navigator.onLine) replayQueuedEdits();
+    }
+
+    // The rejected value was shown locally when it was queued, and the server's EditDate
+    // didn't move, so background refresh won't correct it - put back what the server has
+    async function revertRejectedEdit(entry) {
+        let server = null;
+        try {
+            server = await fetchServerAttributes(entry.objectId);
+        } catch (error) {
+            debugLog(`Could not re-read OBJECTID ${entry.objectId} after rejection: ${error.message}`, 'warning');
+        }
+        const source = server || entry.baseAttributes;
+        if (!source) return;
+        applyLocalAttributes(entry.objectId, pickAttributes(source, Object.keys(entry.attributes)));
+    }
+
+    // Drops a replayed entry unless the meter was queued again while it was in flight. A newer
+    // entry stays, rebased onto what was just saved so the next pass doesn't conflict with it.
+    async function removeReplayedEdit(entry, savedAttributes) {
+        const localFeature = findLocalFeature(entry.objectId);
+        const saved = savedAttributes && Object.assign({}, savedAttributes,
+            localFeature ? pickAttributes(localFeature.attributes, [config.fieldNames.editDate]) : {});
+        let removed = false;
+        await runQueueRequest('readwrite', store => {
+            const request = store.get(entry.objectId);
+            request.onsuccess = () => {
+                const current = request.result;
+                if (!current || current.queuedAt === entry.queuedAt) {
+                    store.delete(entry.objectId);
+                    removed = true;
+                } else if (saved) {
+                    store.put(Object.assign({}, current, { baseAttributes: Object.assign({}, current.baseAttributes, saved) }));
+                }
+            };
+            return request;
+        });
+        return removed;
+    }
+
+    function renderPendingGraphics() {
+        if (!pendingLayer) return;
+        pendingLayer.removeAll();
+        getFilteredFeatures()
+            .filter(f => pendingObjectIds.has(f.attributes.OBJECTID) && f.geometry)
+            .forEach(f => {
+                pendingLayer.add(new Graphic({
+                    geometry: f.geometry,
+                    attributes: { OBJECTID: f.attributes.OBJECTID },
+                    symbol: new SimpleMarkerSymbol({
+                        color: isUpdated(f) ? config.colors.updated : config.colors.needsUpdate,
+                        size: 10,
+                        outline: { color: config.colors.pendingSync, width: 2.5 }
+                    })
+                }));
+            });
+    }
+
+    function updatePendingBadge() {
+        const badge = document.getElementById('pendingBadge');
+        if (!badge) return;
+        badge.textContent = pendingObjectIds.size.toLocaleString();
+        badge.title = `${pendingObjectIds.size} edit(s) pending sync`;
+        badge.classList.toggle('hidden', pendingObjectIds.size === 0);
+    }
+
+    function updatePendingIndicator() {
+        const tag = document.getElementById('pendingSyncTag');
+        if (!tag || !selectedFeature) return;
+        tag.classList.toggle('hidden', !pendingObjectIds.has(selectedFeature.attributes.OBJECTID));
+    }
+
     function closeMeterDetails() {
+        if (!confirmDiscardChanges()) return;
         debugLog('Closing meter details', 'info');
+        pushMeterState(null);
         const panel = document.getElementById('detailsPanel');
         const content = document.getElementById('detailsContent');
         
@@ -444,22 +1857,1440 @@ require([
                             <span>Account Updated</span>
                         </div>
                     </div>
-                    <p class="instruction-tip">💡 <strong>Tip:</strong> Use the search box to find specific addresses or account numbers.</p>
+                    <p class="instruction-tip">💡 <strong>Tip:</strong> Search by address, account number or customer name - close spellings work too.</p>
+                </div>
+            </div>
+        `;
+        
+        panel.classList.remove('visible');
+        if (highlightGraphic) view.graphics.remove(highlightGraphic);
+        highlightGraphic = null;
+        selectedFeature = null;
+        selectedBaseAttributes = null;
+    }
+
+    // ---- Map display modes: points, clusters, heatmap ----
+
+    function initDisplayModes() {
+        const updateField = config.fieldNames.accountUpdate;
+        const needsUpdateExpression = `IIF(IsEmpty(Trim($feature.${updateField})), 1, 0)`;
+        clusterReduction = {
+            type: "cluster",
+            clusterRadius: "90px",
+            fields: [
+                {
+                    name: "needs_update",
+                    alias: "Needs Update",
+                    onStatisticExpression: { type: "expression", expression: needsUpdateExpression, returnType: "number" },
+                    statisticType: "sum"
+                },
+                {
+                    name: "updated",
+                    alias: "Updated",
+                    onStatisticExpression: { type: "expression", expression: `1 - ${needsUpdateExpression}`, returnType: "number" },
+                    statisticType: "sum"
+                }
+            ],
+            labelingInfo: [{
+                deconflictionStrategy: "none",
+                labelPlacement: "center-center",
+                labelExpressionInfo: {
+                    expression: "Text($feature.cluster_count, '#,###') + TextFormatting.NewLine + Text($feature.needs_update, '#,###') + ' left'"
+                },
+                symbol: {
+                    type: "text",
+                    color: "white",
+                    haloColor: [0, 0, 0, 0.4],
+                    haloSize: 1,
+                    font: { weight: "bold", size: "10px" }
+                }
+            }]
+        };
+        
+        heatmapLayer = new FeatureLayer({
+            url: config.serviceUrl,
+            title: "Remaining Work",
+            visible: false,
+            maxScale: config.streetLevelScale,
+            definitionExpression: buildHeatmapExpression(),
+            renderer: new HeatmapRenderer({
+                radius: 12,
+                colorStops: [
+                    { ratio: 0, color: "rgba(34, 71, 254, 0)" },
+                    { ratio: 0.2, color: "rgba(34, 71, 254, 0.6)" },
+                    { ratio: 0.5, color: "rgb(255, 198, 1)" },
+                    { ratio: 0.8, color: "rgb(251, 127, 49)" },
+                    { ratio: 1, color: "rgb(220, 53, 69)" }
+                ]
+            })
+        });
+        // Below the meters so street-level points draw on top
+        map.add(heatmapLayer, map.layers.indexOf(featureLayer));
+        
+        reactiveUtils.watch(() => view.scale, updateClusterState);
+        document.querySelectorAll('[data-display-mode]').forEach(button => {
+            button.addEventListener('click', () => setDisplayMode(button.getAttribute('data-display-mode')));
+        });
+        view.ui.add(document.getElementById('displayModeControl'), "top-right");
+    }
+
+    function setDisplayMode(mode) {
+        debugLog(`Map display mode: ${mode}`, 'info');
+        displayMode = mode;
+        document.querySelectorAll('[data-display-mode]').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-display-mode') === mode);
+        });
+        heatmapLayer.visible = mode === 'heatmap';
+        // The regular blue/green points take over once zoomed in to street level
+        featureLayer.minScale = mode === 'heatmap' ? config.streetLevelScale : 0;
+        updateClusterState();
+    }
+
+    function updateClusterState() {
+        const cluster = displayMode === 'clusters' && view.scale > config.streetLevelScale;
+        if (cluster === !!featureLayer.featureReduction) return;
+        featureLayer.featureReduction = cluster ? clusterReduction : null;
+    }
+
+    function buildHeatmapExpression() {
+        const filterExpression = buildFilterExpression();
+        return filterExpression ? `${needsUpdateClause()} AND ${filterExpression}` : needsUpdateClause();
+    }
+
+    // ---- Deep links (?meter=, ?account=, ?center=, ?zoom=) ----
+
+    function getUrlViewpoint() {
+        const params = new URLSearchParams(window.location.search);
+        const center = (params.get('center') || '').split(',').map(Number);
+        const zoom = Number(params.get('zoom'));
+        return {
+            center: center.length === 2 && center.every(isFinite) ? center : null,
+            zoom: params.get('zoom') && isFinite(zoom) ? zoom : null
+        };
+    }
+
+    function initDeepLinks() {
+        reactiveUtils.when(() => view.stationary, writeViewToUrl);
+        window.addEventListener('popstate', () => {
+            debugLog('Browser history navigation', 'info');
+            applyUrlSelection(false);
+        });
+        applyUrlSelection(true);
+    }
+
+    function applyUrlSelection(initial) {
+        const params = new URLSearchParams(window.location.search);
+        const objectId = parseInt(params.get('meter'));
+        const account = params.get('account');
+        let feature = null;
+        if (!isNaN(objectId)) {
+            feature = findLocalFeature(objectId);
+        } else if (account) {
+            feature = findFeaturesByKey(indexFeaturesByKey(window.allFeatures, config.fieldNames.account), account).matches[0] || null;
+        }
+        
+        let declined = false;
+        isRestoringUrl = true;
+        try {
+            if (feature) {
+                if (!isSelected(feature.attributes.OBJECTID) && !selectMeter(feature)) {
+                    declined = true;
+                    return;
+                }
+                const viewpoint = getUrlViewpoint();
+                // A shared link's own center/zoom wins over jumping to the meter
+                if (!initial || !viewpoint.center) view.goTo({ target: feature.geometry, zoom: (initial && viewpoint.zoom) || 17 });
+            } else {
+                if (selectedFeature) {
+                    closeMeterDetails();
+                    declined = !!selectedFeature;
+                }
+                if (initial && (!isNaN(objectId) || account)) {
+                    debugLog(`Linked meter ${params.get('meter') || account} not found`, 'warning');
+                    showToast('The linked meter could not be found', 'error');
+                }
+            }
+        } finally {
+            isRestoringUrl = false;
+            // Kept the open meter over unsaved changes - put the address bar back on it
+            if (declined) pushMeterState(selectedFeature.attributes.OBJECTID);
+        }
+    }
+
+    function pushMeterState(objectId) {
+        if (isRestoringUrl) return;
+        const url = new URL(window.location.href);
+        url.searchParams.delete('account');
+        if (objectId === null) {
+            url.searchParams.delete('meter');
+        } else {
+            url.searchParams.set('meter', objectId);
+        }
+        if (url.href === window.location.href) return;
+        window.history.pushState({ meter: objectId }, '', url);
+    }
+
+    function writeViewToUrl() {
+        if (!view.center) return;
+        const url = new URL(window.location.href);
+        url.searchParams.set('center', `${view.center.longitude.toFixed(5)},${view.center.latitude.toFixed(5)}`);
+        url.searchParams.set('zoom', String(Math.round(view.zoom * 100) / 100));
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    async function copyMeterLink() {
+        writeViewToUrl();
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            showToast('Link to this meter copied 🔗', 'success');
+        } catch (error) {
+            debugLog(`Clipboard unavailable: ${error.message}`, 'warning');
+            prompt('Copy this link:', window.location.href);
+        }
+    }
+
+    // ---- Attribute filters (map, stats, search and export share these) ----
+
+    function initFilters() {
+        readFiltersFromUrl();
+        populateFilterOptions();
+        Object.keys(filterInputs).forEach(key => {
+            const input = document.getElementById(filterInputs[key]);
+            input.value = filterState[key];
+            input.addEventListener('change', () => {
+                filterState[key] = input.value;
+                applyFilters();
+            });
+        });
+        document.getElementById('filterMine').addEventListener('click', () => {
+            // Editor tracking stores the portal username of whoever saved the meter
+            filterState.editor = currentUser.username;
+            populateFilterOptions();
+            document.getElementById(filterInputs.editor).value = filterState.editor;
+            applyFilters();
+        });
+        document.getElementById('clearFilters').addEventListener('click', () => {
+            Object.keys(filterState).forEach(key => {
+                filterState[key] = '';
+                document.getElementById(filterInputs[key]).value = '';
+            });
+            applyFilters();
+        });
+        applyFilters();
+    }
+
+    function populateFilterOptions() {
+        const fieldsByKey = { class: config.fieldNames.class, type: config.fieldNames.type, editor: config.fieldNames.editor };
+        Object.keys(fieldsByKey).forEach(key => {
+            const select = document.getElementById(filterInputs[key]);
+            const values = Array.from(new Set(window.allFeatures
+                .map(f => normalizeValue(f.attributes[fieldsByKey[key]]))
+                .filter(value => value !== '')))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            // Keep a value from a shared link selectable even if no meter has it yet
+            if (filterState[key] && !values.includes(filterState[key])) values.push(filterState[key]);
+            const signature = values.join('\u0000');
+            if (select.dataset.signature === signature) return;
+            select.dataset.signature = signature;
+            select.innerHTML = '<option value="">All</option>' + values
+                .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+                .join('');
+            select.value = filterState[key];
+        });
+    }
+
+    function applyFilters() {
+        const expression = buildFilterExpression();
+        featureLayer.definitionExpression = expression;
+        if (heatmapLayer) heatmapLayer.definitionExpression = buildHeatmapExpression();
+        debugLog(`Filter expression: ${expression || '(none)'}`, 'info');
+        writeFiltersToUrl();
+        
+        const active = isFilterActive();
+        document.getElementById('clearFilters').classList.toggle('hidden', !active);
+        document.getElementById('filterSummary').textContent = active
+            ? `Showing ${getFilteredFeatures().length.toLocaleString()} of ${window.allFeatures.length.toLocaleString()} meters`
+            : '';
+        
+        updateStats();
+        renderPendingGraphics();
+        if (isDashboardOpen()) renderDashboard();
+        renderRouteList();
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput.value.trim().length >= 2) performSearch(searchInput.value.trim());
+    }
+
+    function isFilterActive() {
+        return Object.keys(filterState).some(key => filterState[key] !== '');
+    }
+
+    function getFilteredFeatures() {
+        if (!window.allFeatures) return [];
+        return isFilterActive() ? window.allFeatures.filter(matchesFilter) : window.allFeatures;
+    }
+
+    function matchesFilter(feature) {
+        const attrs = feature.attributes;
+        if (filterState.class && normalizeValue(attrs[config.fieldNames.class]) !== filterState.class) return false;
+        if (filterState.type && normalizeValue(attrs[config.fieldNames.type]) !== filterState.type) return false;
+        if (filterState.editor && normalizeValue(attrs[config.fieldNames.editor]) !== filterState.editor) return false;
+        if (filterState.status === 'needs' && isUpdated(feature)) return false;
+        if (filterState.status === 'updated' && !isUpdated(feature)) return false;
+        if (filterState.from || filterState.to) {
+            const editDate = attrs[config.fieldNames.editDate];
+            if (typeof editDate !== 'number') return false;
+            if (filterState.from && editDate < parseFilterDate(filterState.from)) return false;
+            if (filterState.to && editDate >= parseFilterDate(filterState.to, 1)) return false;
+        }
+        return true;
+    }
+
+    function buildFilterExpression() {
+        const clauses = [];
+        const updateField = config.fieldNames.accountUpdate;
+        const editDateField = config.fieldNames.editDate;
+        if (filterState.class) clauses.push(`${config.fieldNames.class} = ${toSqlLiteral(config.fieldNames.class, filterState.class)}`);
+        if (filterState.type) clauses.push(`${config.fieldNames.type} = ${toSqlLiteral(config.fieldNames.type, filterState.type)}`);
+        if (filterState.editor) clauses.push(`${config.fieldNames.editor} = ${toSqlLiteral(config.fieldNames.editor, filterState.editor)}`);
+        if (filterState.status === 'needs') {
+            clauses.push(needsUpdateClause());
+        } else if (filterState.status === 'updated') {
+            clauses.push(`(${updateField} IS NOT NULL AND ${updateField} <> '' AND ${updateField} <> ' ')`);
+        }
+        if (filterState.from) clauses.push(`${editDateField} >= ${formatSqlTimestamp(parseFilterDate(filterState.from))}`);
+        if (filterState.to) clauses.push(`${editDateField} < ${formatSqlTimestamp(parseFilterDate(filterState.to, 1))}`);
+        return clauses.length ? clauses.join(' AND ') : null;
+    }
+
+    function needsUpdateClause() {
+        const updateField = config.fieldNames.accountUpdate;
+        return `(${updateField} IS NULL OR ${updateField} = '' OR ${updateField} = ' ')`;
+    }
+
+    function toSqlLiteral(fieldName, value) {
+        const field = queryLayer.fields.find(f => f.name === fieldName);
+        const numeric = field && ['small-integer', 'integer', 'single', 'double', 'long'].includes(field.type);
+        return numeric && !isNaN(Number(value)) ? Number(value) : `'${value.replace(/'/g, "''")}'`;
+    }
+
+    // Date inputs are local calendar days; dayOffset 1 gives the start of the following day
+    function parseFilterDate(value, dayOffset = 0) {
+        const parts = value.split('-').map(Number);
+        return new Date(parts[0], parts[1] - 1, parts[2] + dayOffset).getTime();
+    }
+
+    function readFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        Object.keys(filterState).forEach(key => {
+            filterState[key] = params.get(key) || '';
+        });
+    }
+
+    function writeFiltersToUrl() {
+        const url = new URL(window.location.href);
+        Object.keys(filterState).forEach(key => {
+            if (filterState[key]) {
+                url.searchParams.set(key, filterState[key]);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    // ---- Progress dashboard ----
+
+    function initDashboard() {
+        const modal = document.getElementById('dashboardModal');
+        document.getElementById('openDashboard').addEventListener('click', () => {
+            modal.classList.remove('hidden');
+            renderDashboard();
+        });
+        document.getElementById('closeDashboard').addEventListener('click', () => modal.classList.add('hidden'));
+    }
+
+    function isDashboardOpen() {
+        return !document.getElementById('dashboardModal').classList.contains('hidden');
+    }
+
+    function renderDashboard() {
+        const features = getFilteredFeatures();
+        const updated = features.filter(isUpdated).length;
+        const editorCounts = countBy(features.filter(isUpdated), config.fieldNames.editor);
+        
+        document.getElementById('dashboardContent').innerHTML = `
+            ${isFilterActive() ? '<p class="dashboard-note">Figures reflect the active filters.</p>' : ''}
+            <div class="dashboard-overall">
+                <div class="dashboard-big">${formatPercent(updated, features.length)}</div>
+                <div>
+                    <div class="dashboard-bar"><span style="width:${percent(updated, features.length)}%"></span></div>
+                    <div class="dashboard-caption">${updated.toLocaleString()} of ${features.length.toLocaleString()} meters updated</div>
+                </div>
+            </div>
+            <div class="dashboard-grid">
+                <section class="dashboard-card">
+                    <h3 class="section-title">Completion by Class</h3>
+                    ${renderCompletionRows(features, config.fieldNames.class)}
+                </section>
+                <section class="dashboard-card">
+                    <h3 class="section-title">Completion by Type</h3>
+                    ${renderCompletionRows(features, config.fieldNames.type)}
+                </section>
+                <section class="dashboard-card">
+                    <h3 class="section-title">Updated Meters by Last Editor</h3>
+                    ${renderCountRows(editorCounts)}
+                </section>
+                <section class="dashboard-card">
+                    <h3 class="section-title">Meters Last Edited per Day (last ${config.dashboardDays} days)</h3>
+                    ${renderDailyChart(features)}
+                </section>
+            </div>
+        `;
+    }
+
+    function countBy(features, field) {
+        const counts = new Map();
+        features.forEach(feature => {
+            const key = normalizeValue(feature.attributes[field]) || '(blank)';
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+    }
+
+    function percent(part, total) {
+        return total ? Math.round((part / total) * 1000) / 10 : 0;
+    }
+
+    function formatPercent(part, total) {
+        return `${percent(part, total)}%`;
+    }
+
+    function renderCompletionRows(features, field) {
+        const groups = new Map();
+        features.forEach(feature => {
+            const key = normalizeValue(feature.attributes[field]) || '(blank)';
+            const group = groups.get(key) || { total: 0, updated: 0 };
+            group.total++;
+            if (isUpdated(feature)) group.updated++;
+            groups.set(key, group);
+        });
+        if (!groups.size) return '<p class="history-empty">No meters</p>';
+        return Array.from(groups.entries())
+            .sort((a, b) => b[1].total - a[1].total)
+            .map(([key, group]) => `
+                <div class="dashboard-row">
+                    <span class="dashboard-label" title="${escapeHtml(key)}">${escapeHtml(key)}</span>
+                    <div class="dashboard-bar"><span style="width:${percent(group.updated, group.total)}%"></span></div>
+                    <span class="dashboard-value">${group.updated.toLocaleString()}/${group.total.toLocaleString()} · ${formatPercent(group.updated, group.total)}</span>
+                </div>
+            `).join('');
+    }
+
+    function renderCountRows(counts) {
+        if (!counts.length) return '<p class="history-empty">No edits yet</p>';
+        const max = counts[0][1];
+        return counts.map(([key, count]) => `
+            <div class="dashboard-row">
+                <span class="dashboard-label" title="${escapeHtml(key)}">${escapeHtml(key)}</span>
+                <div class="dashboard-bar count"><span style="width:${percent(count, max)}%"></span></div>
+                <span class="dashboard-value">${count.toLocaleString()}</span>
+            </div>
+        `).join('');
+    }
+
+    // Built from each meter's current EditDate - earlier edits to the same meter aren't counted
+    function renderDailyChart(features) {
+        const days = [];
+        const today = new Date();
+        for (let i = config.dashboardDays - 1; i >= 0; i--) {
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+            days.push({ key: formatDateInput(day.getTime()), label: day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }), count: 0 });
+        }
+        const byKey = new Map(days.map(day => [day.key, day]));
+        features.forEach(feature => {
+            const editDate = feature.attributes[config.fieldNames.editDate];
+            if (typeof editDate !== 'number') return;
+            const day = byKey.get(formatDateInput(editDate));
+            if (day) day.count++;
+        });
+        const max = Math.max(1, ...days.map(day => day.count));
+        return `
+            <div class="daily-chart">
+                ${days.map(day => `
+                    <div class="daily-bar" title="${day.label}: ${day.count} meter(s) last edited">
+                        <span style="height:${percent(day.count, max)}%"></span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="daily-axis"><span>${days[0].label}</span><span>${days[days.length - 1].label}</span></div>
+        `;
+    }
+
+    // ---- Field-route mode ----
+
+    function initRouteMode() {
+        document.getElementById('toggleRoute').addEventListener('click', () => {
+            if (routeState.active) {
+                stopRouteMode();
+            } else {
+                startRouteMode();
+            }
+        });
+        document.getElementById('routeNext').addEventListener('click', advanceRoute);
+        document.getElementById('routeList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-objectid]');
+            if (item) visitRouteMeter(parseInt(item.getAttribute('data-objectid')));
+        });
+    }
+
+    function startRouteMode() {
+        if (!navigator.geolocation) {
+            showToast('This device does not provide a GPS location ❌', 'error');
+            return;
+        }
+        debugLog('Starting route mode', 'info');
+        routeState.active = true;
+        routeState.visited.clear();
+        document.getElementById('routePanel').classList.remove('hidden');
+        document.getElementById('toggleRoute').textContent = '⏹ Stop Route';
+        document.getElementById('routeStatus').textContent = 'Waiting for GPS location...';
+        routeState.watchId = navigator.geolocation.watchPosition(handleRoutePosition, (error) => {
+            debugLog(`Geolocation error: ${error.message}`, 'error');
+            document.getElementById('routeStatus').textContent = `Location unavailable: ${error.message}`;
+            if (error.code === error.PERMISSION_DENIED) {
+                showToast('Location permission is needed for route mode ❌', 'error');
+                stopRouteMode();
+            }
+        }, { enableHighAccuracy: true, maximumAge: 10000, timeout: 30000 });
+    }
+
+    function stopRouteMode() {
+        debugLog('Stopping route mode', 'info');
+        if (routeState.watchId !== null) navigator.geolocation.clearWatch(routeState.watchId);
+        if (routeState.locationGraphic) view.graphics.remove(routeState.locationGraphic);
+        Object.assign(routeState, { active: false, watchId: null, position: null, locationGraphic: null });
+        document.getElementById('routePanel').classList.add('hidden');
+        document.getElementById('toggleRoute').textContent = '🧭 Route Mode';
+    }
+
+    function handleRoutePosition(position) {
+        const coords = position.coords;
+        const previous = routeState.position;
+        routeState.position = { latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy };
+        document.getElementById('routeStatus').textContent = `GPS accuracy ±${Math.round(coords.accuracy)} m`;
+        
+        if (routeState.locationGraphic) view.graphics.remove(routeState.locationGraphic);
+        routeState.locationGraphic = new Graphic({
+            geometry: new Point({ longitude: coords.longitude, latitude: coords.latitude }),
+            symbol: new SimpleMarkerSymbol({
+                color: "#1e90ff",
+                size: 12,
+                outline: { color: "white", width: 3 }
+            })
+        });
+        view.graphics.add(routeState.locationGraphic);
+        
+        // Walking pace - skip re-sorting for GPS jitter
+        if (!previous || distanceMeters(previous, routeState.position) > 10) renderRouteList();
+    }
+
+    function getRouteCandidates() {
+        if (!routeState.position) return [];
+        return getFilteredFeatures()
+            .filter(feature => !isUpdated(feature) && feature.geometry && !routeState.visited.has(feature.attributes.OBJECTID))
+            .map(feature => ({
+                feature: feature,
+                distance: distanceMeters(routeState.position, feature.geometry)
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, config.routeSize);
+    }
+
+    function renderRouteList() {
+        if (!routeState.active) return;
+        const candidates = getRouteCandidates();
+        document.getElementById('routeNext').disabled = candidates.length === 0;
+        document.getElementById('routeList').innerHTML = candidates.length
+            ? candidates.map((candidate, index) => `
+                <div class="route-item" data-objectid="${candidate.feature.attributes.OBJECTID}">
+                    <span class="route-rank">${index + 1}</span>
+                    <span class="route-address">${escapeHtml(candidate.feature.attributes[config.fieldNames.address] || `Meter ${candidate.feature.attributes.OBJECTID}`)}</span>
+                    <span class="route-distance">${formatDistance(candidate.distance)}</span>
+                </div>
+            `).join('')
+            : `<p class="history-empty">${routeState.position ? 'No meters left to update nearby 🎉' : 'Waiting for GPS location...'}</p>`;
+    }
+
+    function advanceRoute() {
+        const next = getRouteCandidates()[0];
+        if (!next) {
+            showToast('No more meters needing an update nearby', 'info');
+            return;
+        }
+        visitRouteMeter(next.feature.attributes.OBJECTID);
+    }
+
+    function visitRouteMeter(objectId) {
+        // Opened meters count as visited even if skipped, so "Next" keeps moving forward
+        if (!selectMeterByObjectId(objectId)) return;
+        routeState.visited.add(objectId);
+        renderRouteList();
+    }
+
+    function distanceMeters(from, to) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(to.latitude - from.latitude);
+        const dLon = toRadians(to.longitude - from.longitude);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+        return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    function formatDistance(meters) {
+        const feet = meters * 3.28084;
+        return feet < 1000 ? `${Math.round(feet)} ft` : `${(meters / 1609.344).toFixed(2)} mi`;
+    }
+
+    // ---- Area selection and batch edit ----
+
+    function initAreaSelection() {
+        sketchLayer = new GraphicsLayer({ title: "Selection Area", listMode: "hide" });
+        selectionLayer = new GraphicsLayer({ title: "Selected Meters", listMode: "hide" });
+        map.addMany([sketchLayer, selectionLayer]);
+        sketchViewModel = new SketchViewModel({
+            view: view,
+            layer: sketchLayer,
+            defaultCreateOptions: { hasZ: false },
+            polygonSymbol: {
+                type: "simple-fill",
+                color: [251, 127, 49, 0.15],
+                outline: { color: config.colors.selected, width: 2, style: "dash" }
+            }
+        });
+        sketchViewModel.on("create", (event) => {
+            if (event.state !== "complete") return;
+            sketchLayer.removeAll();
+            selectMetersInArea(event.graphic.geometry);
+        });
+        
+        document.querySelectorAll('[data-select-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                const tool = button.getAttribute('data-select-tool');
+                debugLog(`Starting ${tool} selection`, 'info');
+                sketchViewModel.cancel();
+                sketchViewModel.create(tool === 'lasso' ? 'polygon' : tool, tool === 'lasso' ? { mode: 'freehand' } : undefined);
+            });
+        });
+        document.getElementById('clearSelection').addEventListener('click', () => setAreaSelection([]));
+        document.getElementById('selectionList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-objectid]');
+            if (!item) return;
+            const objectId = parseInt(item.getAttribute('data-objectid'));
+            if (e.target.closest('.selection-remove')) {
+                setAreaSelection(selectionState.features.filter(f => f.attributes.OBJECTID !== objectId));
+            } else {
+                selectMeterByObjectId(objectId);
+            }
+        });
+        document.getElementById('batchSet').addEventListener('click', () => {
+            const value = document.getElementById('batchValue').value.trim();
+            if (!value) {
+                showToast('Enter a value to set, or use "Clear All"', 'info');
+                return;
+            }
+            applyBatchUpdate(value);
+        });
+        document.getElementById('batchClear').addEventListener('click', () => applyBatchUpdate(''));
+    }
+
+    function selectMetersInArea(polygon) {
+        const features = getFilteredFeatures().filter(feature => feature.geometry && polygon.contains(feature.geometry));
+        debugLog(`Area selection found ${features.length} meters`, 'info');
+        setAreaSelection(features);
+        if (!features.length) showToast('No meters inside that area', 'info');
+    }
+
+    function setAreaSelection(features) {
+        selectionState.features = features;
+        selectionState.results = null;
+        renderAreaSelection();
+    }
+
+    function renderAreaSelection() {
+        const features = selectionState.features;
+        selectionLayer.removeAll();
+        selectionLayer.addMany(features.map(feature => new Graphic({
+            geometry: feature.geometry,
+            symbol: new SimpleMarkerSymbol({
+                color: [0, 0, 0, 0],
+                size: 13,
+                outline: { color: config.colors.selected, width: 2.5 }
+            })
+        })));
+        
+        const resultsById = selectionState.results ? new Map(selectionState.results.map(r => [r.objectId, r])) : new Map();
+        document.getElementById('selectionPanel').classList.toggle('hidden', features.length === 0);
+        document.getElementById('selectionCount').textContent =
+            `${features.length.toLocaleString()} selected · ${features.filter(isUpdated).length.toLocaleString()} updated`;
+        document.getElementById('selectionList').innerHTML = features.map(feature => {
+            const result = resultsById.get(feature.attributes.OBJECTID);
+            return `
+                <div class="selection-item${result ? (result.success ? ' result-ok' : ' result-failed') : ''}"
+                     data-objectid="${feature.attributes.OBJECTID}" title="${result && result.error ? escapeHtml(result.error) : ''}">
+                    <span class="legend-dot ${isUpdated(feature) ? 'green-dot' : 'blue-dot'}"></span>
+                    <span class="route-address">${escapeHtml(feature.attributes[config.fieldNames.address] || `Meter ${feature.attributes.OBJECTID}`)}</span>
+                    <button class="selection-remove" title="Remove from selection">×</button>
                 </div>
+            `;
+        }).join('');
+    }
+
+    async function applyBatchUpdate(value) {
+        if (!navigator.onLine) {
+            showToast('Batch edits need a connection - please try again when online', 'error');
+            return;
+        }
+        // Meters with offline edits waiting would be overwritten again when the queue replays
+        const targets = selectionState.features.filter(f => !pendingObjectIds.has(f.attributes.OBJECTID));
+        const skipped = selectionState.features.length - targets.length;
+        const action = value ? `set Account_Update to "${value}"` : 'clear Account_Update';
+        if (!targets.length || !confirm(`${action[0].toUpperCase()}${action.slice(1)} on ${targets.length} meter(s)?`)) return;
+        
+        const progress = document.getElementById('batchProgress');
+        document.querySelectorAll('#batchSet, #batchClear').forEach(button => { button.disabled = true; });
+        debugLog(`Batch edit: ${action} on ${targets.length} meters (${skipped} skipped with pending edits)`, 'info');
+        try {
+            selectionState.results = await applyEditsInBatches(
+                targets.map(feature => ({
+                    objectId: feature.attributes.OBJECTID,
+                    attributes: { [config.fieldNames.accountUpdate]: value }
+                })),
+                (done, total) => { progress.textContent = `Saving ${done.toLocaleString()} of ${total.toLocaleString()}...`; }
+            );
+            const failed = selectionState.results.filter(r => !r.success);
+            progress.textContent = `${(targets.length - failed.length).toLocaleString()} saved` +
+                (failed.length ? `, ${failed.length} failed (hover for details)` : '') +
+                (skipped ? `, ${skipped} skipped with offline edits pending` : '');
+            renderAreaSelection();
+            showToast(
+                failed.length ? `Batch edit finished with ${failed.length} failure(s) ❌` : `Updated ${targets.length} meter(s) ✅`,
+                failed.length ? 'error' : 'success'
+            );
+        } finally {
+            document.querySelectorAll('#batchSet, #batchClear').forEach(button => { button.disabled = false; });
+        }
+    }
+
+    // ---- Data quality report ----
+
+    function initQualityReport() {
+        const modal = document.getElementById('qualityModal');
+        document.getElementById('openQuality').addEventListener('click', () => {
+            qualityIssues = findQualityIssues(window.allFeatures);
+            renderQualityReport();
+            modal.classList.remove('hidden');
+        });
+        document.getElementById('closeQuality').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('downloadQuality').addEventListener('click', downloadQualityReport);
+        document.getElementById('qualityContent').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-objectid]');
+            if (!link) return;
+            modal.classList.add('hidden');
+            selectMeterByObjectId(parseInt(link.getAttribute('data-objectid')));
+        });
+    }
+
+    // Each issue is { check, title, detail, features }; grouped checks put every meter involved in one issue
+    function findQualityIssues(features) {
+        const issues = [];
+        
+        [config.fieldNames.account, config.fieldNames.customerAccount].forEach(field => {
+            const groups = new Map();
+            features.forEach(feature => {
+                const key = normalizeImportKey(feature.attributes[field]);
+                if (!key) return;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(feature);
+            });
+            groups.forEach(group => {
+                if (group.length < 2) return;
+                issues.push({
+                    check: `duplicate-${field}`,
+                    title: `Duplicate ${field}`,
+                    detail: `${normalizeValue(group[0].attributes[field])} used by ${group.length} meters`,
+                    features: group
+                });
+            });
+        });
+        
+        config.quality.requiredFields.forEach(key => {
+            const field = config.fieldNames[key];
+            features.forEach(feature => {
+                if (normalizeValue(feature.attributes[field])) return;
+                issues.push({ check: `missing-${field}`, title: `Missing ${field}`, detail: `No ${field} value`, features: [feature] });
+            });
+        });
+        
+        // Bucket into a grid one tolerance wide (map units are stretched by 1/cos(latitude)), then
+        // check real distances against neighbouring cells too so pairs straddling a cell edge are found
+        const tolerance = config.quality.colocatedToleranceMeters;
+        const located = features.filter(feature => feature.geometry);
+        const cellSize = located.length ? tolerance / Math.cos(located[0].geometry.latitude * Math.PI / 180) : tolerance;
+        const parent = located.map((feature, index) => index);
+        const root = index => parent[index] === index ? index : (parent[index] = root(parent[index]));
+        const cells = new Map();
+        located.forEach((feature, index) => {
+            const cellX = Math.floor(feature.geometry.x / cellSize);
+            const cellY = Math.floor(feature.geometry.y / cellSize);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    (cells.get(`${cellX + dx},${cellY + dy}`) || []).forEach(other => {
+                        if (distanceMeters(feature.geometry, located[other].geometry) <= tolerance) parent[root(index)] = root(other);
+                    });
+                }
+            }
+            const key = `${cellX},${cellY}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(index);
+        });
+        const locations = new Map();
+        located.forEach((feature, index) => {
+            const group = root(index);
+            if (!locations.has(group)) locations.set(group, []);
+            locations.get(group).push(feature);
+        });
+        locations.forEach(group => {
+            if (group.length < 2) return;
+            issues.push({
+                check: 'colocated',
+                title: 'Stacked meters',
+                detail: `${group.length} meters share one location`,
+                features: group
+            });
+        });
+        
+        const pattern = new RegExp(config.quality.accountUpdatePattern);
+        features.filter(isUpdated).forEach(feature => {
+            const value = normalizeValue(feature.attributes[config.fieldNames.accountUpdate]);
+            if (pattern.test(value)) return;
+            issues.push({
+                check: 'account-update-format',
+                title: `Unexpected ${config.fieldNames.accountUpdate}`,
+                detail: `"${value}" doesn't look like an account number`,
+                features: [feature]
+            });
+        });
+        
+        debugLog(`Data quality check found ${issues.length} issue(s)`, issues.length ? 'warning' : 'success');
+        return issues;
+    }
+
+    function renderQualityReport() {
+        const groups = new Map();
+        qualityIssues.forEach(issue => {
+            if (!groups.has(issue.check)) groups.set(issue.check, { title: issue.title, issues: [] });
+            groups.get(issue.check).issues.push(issue);
+        });
+        const maxShown = 200;
+        const meterLink = feature => `
+            <button class="quality-meter" data-objectid="${feature.attributes.OBJECTID}">
+                ${escapeHtml(feature.attributes[config.fieldNames.address] || `Meter ${feature.attributes.OBJECTID}`)}
+            </button>
+        `;
+        document.getElementById('qualityContent').innerHTML = groups.size === 0
+            ? '<p class="history-empty">No data quality issues found 🎉</p>'
+            : Array.from(groups.values()).map(group => `
+                <details class="quality-group">
+                    <summary><strong>${escapeHtml(group.title)}</strong> <span class="import-count">${group.issues.length.toLocaleString()}</span></summary>
+                    ${group.issues.slice(0, maxShown).map(issue => `
+                        <div class="quality-issue">
+                            <div class="quality-detail">${escapeHtml(issue.detail)}</div>
+                            <div class="quality-meters">${issue.features.map(meterLink).join('')}</div>
+                        </div>
+                    `).join('')}
+                    ${group.issues.length > maxShown ? `<p class="import-note">Showing first ${maxShown} - download the report for all issues.</p>` : ''}
+                </details>
+            `).join('');
+        document.getElementById('downloadQuality').disabled = qualityIssues.length === 0;
+    }
+
+    function downloadQualityReport() {
+        const rows = [['check', 'detail', 'OBJECTID', config.fieldNames.address, config.fieldNames.account]];
+        qualityIssues.forEach(issue => issue.features.forEach(feature => {
+            rows.push([
+                issue.check,
+                issue.detail,
+                feature.attributes.OBJECTID,
+                feature.attributes[config.fieldNames.address],
+                feature.attributes[config.fieldNames.account]
+            ]);
+        }));
+        downloadFile(`meter-data-quality-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(rows), 'text/csv');
+    }
+
+    // ---- Bulk Account_Update import from CSV ----
+
+    function initImport() {
+        const modal = document.getElementById('importModal');
+        document.getElementById('openImport').addEventListener('click', () => modal.classList.remove('hidden'));
+        document.getElementById('closeImport').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('importFile').addEventListener('change', handleImportFile);
+        ['importMatchField', 'importKeyColumn', 'importValueColumn', 'importSkipBlank'].forEach(id => {
+            document.getElementById(id).addEventListener('change', buildImportPlan);
+        });
+        document.getElementById('importApply').addEventListener('click', applyImportPlan);
+        document.getElementById('importDownload').addEventListener('click', downloadImportResults);
+        
+        document.getElementById('importMatchField').innerHTML = [config.fieldNames.account, config.fieldNames.customerAccount]
+            .map(field => `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`)
+            .join('');
+    }
+
+    async function handleImportFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const rows = parseCsv(await file.text()).filter(row => row.some(cell => cell.trim() !== ''));
+            if (rows.length < 2) throw new Error('The file needs a header row and at least one data row');
+            const headers = rows[0].map(header => header.trim());
+            importState = { fileName: file.name, headers: headers, rows: rows.slice(1), plan: [], results: null };
+            debugLog(`Import file "${file.name}" read: ${importState.rows.length} rows, columns: ${headers.join(', ')}`, 'info');
+            
+            const options = headers.map((header, index) => `<option value="${index}">${escapeHtml(header)}</option>`).join('');
+            const keySelect = document.getElementById('importKeyColumn');
+            const valueSelect = document.getElementById('importValueColumn');
+            keySelect.innerHTML = options;
+            valueSelect.innerHTML = options;
+            
+            // Pick sensible defaults when the spreadsheet uses the layer's own column names
+            const findHeader = name => headers.findIndex(header => header.toLowerCase() === name.toLowerCase());
+            const accountIndex = findHeader(config.fieldNames.account);
+            const customerAccountIndex = findHeader(config.fieldNames.customerAccount);
+            const valueIndex = findHeader(config.fieldNames.accountUpdate);
+            if (accountIndex < 0 && customerAccountIndex >= 0) {
+                document.getElementById('importMatchField').value = config.fieldNames.customerAccount;
+            }
+            keySelect.value = String(Math.max(accountIndex >= 0 ? accountIndex : customerAccountIndex, 0));
+            valueSelect.value = String(valueIndex >= 0 ? valueIndex : Math.min(1, headers.length - 1));
+            buildImportPlan();
+        } catch (error) {
+            debugLog(`IMPORT READ ERROR: ${error.message}`, 'error');
+            showToast(`Could not read CSV: ${error.message}`, 'error');
+            importState = null;
+            renderImportPreview();
+        }
+    }
+
+    function buildImportPlan() {
+        if (!importState) return;
+        const matchField = document.getElementById('importMatchField').value;
+        const keyIndex = parseInt(document.getElementById('importKeyColumn').value);
+        const valueIndex = parseInt(document.getElementById('importValueColumn').value);
+        const skipBlank = document.getElementById('importSkipBlank').checked;
+        
+        const featureIndex = indexFeaturesByKey(window.allFeatures, matchField);
+        
+        const claimed = new Map();
+        importState.results = null;
+        importState.plan = importState.rows.map((row, index) => {
+            const entry = {
+                rowNumber: index + 2,
+                row: row,
+                key: (row[keyIndex] || '').trim(),
+                newValue: (row[valueIndex] || '').trim(),
+                feature: null,
+                status: 'unmatched',
+                note: ''
+            };
+            const lookup = findFeaturesByKey(featureIndex, entry.key);
+            const matches = lookup.matches;
+            if (!entry.key) {
+                entry.note = 'No key value';
+            } else if (matches.length === 0) {
+                entry.note = `No meter with this ${matchField}`;
+            } else if (matches.length > 1) {
+                entry.status = 'ambiguous';
+                entry.note = `${matches.length} meters share this ${matchField}`;
+            } else {
+                entry.feature = matches[0];
+                const objectId = entry.feature.attributes.OBJECTID;
+                if (claimed.has(objectId)) {
+                    entry.status = 'ambiguous';
+                    entry.note = `Same meter as row ${claimed.get(objectId)}`;
+                } else if (skipBlank && !entry.newValue) {
+                    entry.status = 'unchanged';
+                    entry.note = 'Blank update skipped';
+                } else if (normalizeValue(entry.feature.attributes[config.fieldNames.accountUpdate]) === entry.newValue) {
+                    entry.status = 'unchanged';
+                } else if (pendingObjectIds.has(objectId)) {
+                    entry.status = 'ambiguous';
+                    entry.note = 'Meter has an offline edit waiting to sync';
+                } else {
+                    entry.status = 'matched';
+                }
+                claimed.set(objectId, entry.rowNumber);
+            }
+            if (lookup.loose) {
+                const stored = matches.length === 1 ? ` (meter has ${normalizeValue(matches[0].attributes[matchField])})` : '';
+                entry.note = [entry.note, `Matched ignoring leading zeros${stored}`].filter(Boolean).join(' - ');
+            }
+            return entry;
+        });
+        renderImportPreview();
+    }
+
+    function normalizeImportKey(value) {
+        return normalizeValue(value).toLowerCase();
+    }
+
+    // Spreadsheets like to drop leading zeros from account numbers, so all-digit keys are
+    // also indexed without them - used only when there is no exact match
+    function indexFeaturesByKey(features, field) {
+        const exact = new Map(), withoutZeros = new Map();
+        features.forEach(feature => {
+            const key = normalizeImportKey(feature.attributes[field]);
+            if (!key) return;
+            if (!exact.has(key)) exact.set(key, []);
+            exact.get(key).push(feature);
+            if (!/^\d+$/.test(key)) return;
+            const stripped = key.replace(/^0+(?=.)/, '');
+            if (!withoutZeros.has(stripped)) withoutZeros.set(stripped, []);
+            withoutZeros.get(stripped).push(feature);
+        });
+        return { exact, withoutZeros };
+    }
+
+    // Returns { matches, loose } - loose is true when the match needed leading zeros ignored
+    function findFeaturesByKey(index, value) {
+        const key = normalizeImportKey(value);
+        if (index.exact.has(key)) return { matches: index.exact.get(key), loose: false };
+        if (!/^\d+$/.test(key)) return { matches: [], loose: false };
+        const matches = index.withoutZeros.get(key.replace(/^0+(?=.)/, '')) || [];
+        return { matches: matches, loose: matches.length > 0 };
+    }
+
+    function renderImportPreview() {
+        const summary = document.getElementById('importSummary');
+        const preview = document.getElementById('importPreview');
+        const applyBtn = document.getElementById('importApply');
+        const downloadBtn = document.getElementById('importDownload');
+        if (!importState) {
+            summary.innerHTML = '';
+            preview.innerHTML = '';
+            applyBtn.disabled = true;
+            downloadBtn.disabled = true;
+            return;
+        }
+        
+        const counts = { matched: 0, unmatched: 0, ambiguous: 0, unchanged: 0 };
+        importState.plan.forEach(entry => counts[entry.status]++);
+        summary.innerHTML = `
+            <div class="import-summary">
+                ${Object.keys(counts).map(status => `
+                    <span class="import-count status-${status}"><strong>${counts[status].toLocaleString()}</strong> ${status}</span>
+                `).join('')}
             </div>
         `;
         
-        panel.classList.remove('visible');
-        if (highlightGraphic) view.graphics.remove(highlightGraphic);
-        highlightGraphic = null;
-        selectedFeature = null;
+        const maxRows = 500;
+        const resultsById = importState.results ? new Map(importState.results.map(r => [r.objectId, r])) : null;
+        preview.innerHTML = `
+            <table class="import-table">
+                <thead><tr><th>Row</th><th>Key</th><th>Meter</th><th>Current</th><th>New</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${importState.plan.slice(0, maxRows).map(entry => {
+                        const attrs = entry.feature ? entry.feature.attributes : null;
+                        const result = resultsById && entry.status === 'matched' ? resultsById.get(attrs.OBJECTID) : null;
+                        const note = result ? (result.success ? 'Saved' : `Failed: ${result.error}`) : entry.note;
+                        return `
+                            <tr class="status-${entry.status}${result ? (result.success ? ' result-ok' : ' result-failed') : ''}">
+                                <td>${entry.rowNumber}</td>
+                                <td>${escapeHtml(entry.key)}</td>
+                                <td>${attrs ? escapeHtml(attrs[config.fieldNames.address] || `#${attrs.OBJECTID}`) : ''}</td>
+                                <td>${attrs ? escapeHtml(attrs[config.fieldNames.accountUpdate]) : ''}</td>
+                                <td>${escapeHtml(entry.newValue)}</td>
+                                <td>${escapeHtml(entry.status)}${note ? `<div class="import-note">${escapeHtml(note)}</div>` : ''}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            ${importState.plan.length > maxRows ? `<p class="import-note">Showing first ${maxRows} of ${importState.plan.length.toLocaleString()} rows - download the results file for the full list.</p>` : ''}
+        `;
+        applyBtn.disabled = counts.matched === 0 || !!importState.results;
+        applyBtn.textContent = `Apply ${counts.matched.toLocaleString()} Change(s)`;
+        downloadBtn.disabled = false;
+    }
+
+    async function applyImportPlan() {
+        if (!importState) return;
+        if (!navigator.onLine) {
+            showToast('Bulk import needs a connection - please try again when online', 'error');
+            return;
+        }
+        const matched = importState.plan.filter(entry => entry.status === 'matched');
+        if (!confirm(`Update Account_Update on ${matched.length} meter(s)? This cannot be previewed again afterwards.`)) return;
+        
+        const applyBtn = document.getElementById('importApply');
+        applyBtn.disabled = true;
+        debugLog(`Importing ${matched.length} account updates from "${importState.fileName}"...`, 'info');
+        const updates = matched.map(entry => ({
+            objectId: entry.feature.attributes.OBJECTID,
+            attributes: { [config.fieldNames.accountUpdate]: entry.newValue }
+        }));
+        importState.results = await applyEditsInBatches(updates, (done, total) => {
+            applyBtn.textContent = `Applying ${done.toLocaleString()}/${total.toLocaleString()}...`;
+        });
+        
+        const failed = importState.results.filter(r => !r.success).length;
+        renderImportPreview();
+        applyBtn.textContent = 'Import Complete';
+        showToast(
+            failed ? `Import finished with ${failed} failure(s) - download results for details ❌` : `Imported ${updates.length} account update(s) ✅`,
+            failed ? 'error' : 'success'
+        );
+    }
+
+    function downloadImportResults() {
+        if (!importState) return;
+        const resultsById = importState.results ? new Map(importState.results.map(r => [r.objectId, r])) : new Map();
+        const rows = [importState.headers.concat(['OBJECTID', 'import_status', 'import_result', 'import_note'])];
+        importState.plan.forEach(entry => {
+            const objectId = entry.feature ? entry.feature.attributes.OBJECTID : '';
+            const result = entry.status === 'matched' ? resultsById.get(objectId) : null;
+            const outcome = result ? (result.success ? 'saved' : 'failed') : (importState.results ? 'not submitted' : 'dry run');
+            rows.push(entry.row.concat([objectId, entry.status, outcome, result && result.error ? result.error : entry.note]));
+        });
+        const baseName = importState.fileName.replace(/\.csv$/i, '');
+        downloadFile(`${baseName}-results.csv`, toCsv(rows), 'text/csv');
+    }
+
+    // ---- Export to CSV / GeoJSON / KML ----
+
+    function initExport() {
+        const modal = document.getElementById('exportModal');
+        document.getElementById('openExport').addEventListener('click', () => {
+            updateExportCount();
+            modal.classList.remove('hidden');
+        });
+        document.getElementById('closeExport').addEventListener('click', () => modal.classList.add('hidden'));
+        document.querySelectorAll('input[name="exportScope"], #exportNeedsUpdateOnly').forEach(el => {
+            el.addEventListener('change', updateExportCount);
+        });
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => exportMeters(button.getAttribute('data-export-format')));
+        });
+    }
+
+    function getExportFeatures() {
+        const scope = document.querySelector('input[name="exportScope"]:checked').value;
+        const needsUpdateOnly = document.getElementById('exportNeedsUpdateOnly').checked;
+        return getFilteredFeatures().filter(feature => {
+            if (needsUpdateOnly && isUpdated(feature)) return false;
+            if (scope === 'view') return !!feature.geometry && view.extent.contains(feature.geometry);
+            return true;
+        });
+    }
+
+    function updateExportCount() {
+        const count = getExportFeatures().length;
+        document.getElementById('exportCount').textContent = `${count.toLocaleString()} meter(s) will be exported`;
+        document.querySelectorAll('[data-export-format]').forEach(button => { button.disabled = count === 0; });
+    }
+
+    function exportMeters(format) {
+        const features = getExportFeatures();
+        const stamp = new Date().toISOString().slice(0, 10);
+        debugLog(`Exporting ${features.length} meters as ${format}`, 'info');
+        if (format === 'csv') {
+            downloadFile(`water-meters-${stamp}.csv`, buildCsvExport(features), 'text/csv');
+        } else if (format === 'geojson') {
+            downloadFile(`water-meters-${stamp}.geojson`, buildGeoJsonExport(features), 'application/geo+json');
+        } else if (format === 'kml') {
+            downloadFile(`water-meters-${stamp}.kml`, buildKmlExport(features), 'application/vnd.google-earth.kml+xml');
+        }
+        showToast(`Exported ${features.length.toLocaleString()} meter(s) ✅`, 'success');
+    }
+
+    function getExportFields() {
+        const fields = ['OBJECTID'];
+        Object.values(config.fieldNames).forEach(field => {
+            if (!fields.includes(field)) fields.push(field);
+        });
+        return fields;
+    }
+
+    function getExportProperties(feature) {
+        const properties = {};
+        getExportFields().forEach(field => {
+            const value = feature.attributes[field];
+            // Dates come back as epoch milliseconds
+            properties[field] = field === config.fieldNames.editDate && typeof value === 'number'
+                ? new Date(value).toISOString()
+                : value === undefined ? null : value;
+        });
+        return properties;
+    }
+
+    function getLonLat(feature) {
+        const geometry = feature.geometry;
+        if (!geometry || geometry.longitude === undefined || geometry.longitude === null) return null;
+        return [Number(geometry.longitude.toFixed(6)), Number(geometry.latitude.toFixed(6))];
+    }
+
+    function buildCsvExport(features) {
+        const fields = getExportFields();
+        const rows = [fields.concat(['latitude', 'longitude'])];
+        features.forEach(feature => {
+            const properties = getExportProperties(feature);
+            const lonLat = getLonLat(feature);
+            rows.push(fields.map(field => properties[field]).concat(lonLat ? [lonLat[1], lonLat[0]] : ['', '']));
+        });
+        return toCsv(rows);
+    }
+
+    function buildGeoJsonExport(features) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: features.map(feature => {
+                const lonLat = getLonLat(feature);
+                return {
+                    type: 'Feature',
+                    id: feature.attributes.OBJECTID,
+                    geometry: lonLat ? { type: 'Point', coordinates: lonLat } : null,
+                    properties: getExportProperties(feature)
+                };
+            })
+        }, null, 2);
+    }
+
+    function buildKmlExport(features) {
+        const escapeXml = escapeHtml;
+        // KML colors are aabbggrr
+        const kmlColor = hex => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+        const placemarks = features.map(feature => {
+            const lonLat = getLonLat(feature);
+            if (!lonLat) return '';
+            const properties = getExportProperties(feature);
+            return `
+    <Placemark>
+      <name>${escapeXml(properties[config.fieldNames.address] || `Meter ${feature.attributes.OBJECTID}`)}</name>
+      <styleUrl>#${isUpdated(feature) ? 'updated' : 'needsUpdate'}</styleUrl>
+      <ExtendedData>${Object.keys(properties).map(field => `
+        <Data name="${escapeXml(field)}"><value>${escapeXml(properties[field])}</value></Data>`).join('')}
+      </ExtendedData>
+      <Point><coordinates>${lonLat[0]},${lonLat[1]},0</coordinates></Point>
+    </Placemark>`;
+        }).join('');
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Water Meters</name>
+    <Style id="needsUpdate"><IconStyle><color>${kmlColor(config.colors.needsUpdate)}</color></IconStyle></Style>
+    <Style id="updated"><IconStyle><color>${kmlColor(config.colors.updated)}</color></IconStyle></Style>${placemarks}
+  </Document>
+</kml>
+`;
+    }
+
+    // ---- Printable work packets (map sheet + write-in table) ----
+
+    function initPrintPacket() {
+        const modal = document.getElementById('printModal');
+        document.getElementById('openPrint').addEventListener('click', () => {
+            // Default to the area selection when there is one, otherwise what's on screen
+            const hasSelection = selectionState.features.length > 0;
+            const selectionOption = document.querySelector('input[name="printScope"][value="selection"]');
+            selectionOption.disabled = !hasSelection;
+            document.querySelector(`input[name="printScope"][value="${hasSelection ? 'selection' : 'view'}"]`).checked = true;
+            updatePrintCount();
+            modal.classList.remove('hidden');
+        });
+        document.getElementById('closePrint').addEventListener('click', () => modal.classList.add('hidden'));
+        document.querySelectorAll('input[name="printScope"], #printNeedsUpdateOnly').forEach(el => {
+            el.addEventListener('change', updatePrintCount);
+        });
+        document.getElementById('generatePrint').addEventListener('click', printWorkPacket);
+    }
+
+    function getPrintFeatures() {
+        const scope = document.querySelector('input[name="printScope"]:checked').value;
+        const needsUpdateOnly = document.getElementById('printNeedsUpdateOnly').checked;
+        const source = scope === 'selection' ? selectionState.features : getFilteredFeatures();
+        return source
+            .filter(feature => {
+                if (needsUpdateOnly && isUpdated(feature)) return false;
+                if (scope === 'view') return !!feature.geometry && view.extent.contains(feature.geometry);
+                return true;
+            })
+            .sort(compareAddresses);
+    }
+
+    function updatePrintCount() {
+        const count = getPrintFeatures().length;
+        const tooMany = count > config.printMaxMeters;
+        document.getElementById('printCount').textContent = tooMany
+            ? `${count.toLocaleString()} meters - narrow the selection or filters to ${config.printMaxMeters} or fewer`
+            : `${count.toLocaleString()} meter(s) will be printed`;
+        document.getElementById('generatePrint').disabled = count === 0 || tooMany;
+    }
+
+    // Street name first, then house number, so a packet reads in walking order along each street
+    function compareAddresses(a, b) {
+        const parse = (feature) => {
+            const address = normalizeValue(feature.attributes[config.fieldNames.address]);
+            const match = address.match(/^(\d+)\s+(.*)$/);
+            return match ? { street: match[2].toUpperCase(), number: Number(match[1]) } : { street: address.toUpperCase(), number: 0 };
+        };
+        const left = parse(a), right = parse(b);
+        return left.street.localeCompare(right.street) || left.number - right.number;
+    }
+
+    async function printWorkPacket() {
+        const features = getPrintFeatures();
+        // Open the window while we still have the click's user activation, or pop-up blockers step in
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            showToast('Allow pop-ups for this page to print work packets', 'error');
+            return;
+        }
+        printWindow.document.write('<p style="font-family:sans-serif">Preparing work packet...</p>');
+        document.getElementById('printModal').classList.add('hidden');
+        showLoading(true, 'Preparing map sheet...');
+        debugLog(`Printing work packet for ${features.length} meters`, 'info');
+        
+        let mapImage = null;
+        try {
+            mapImage = await captureMapSheet(features);
+        } catch (error) {
+            debugLog(`Map sheet capture failed: ${error.message}`, 'error');
+            showToast('Map sheet could not be drawn - printing the table only', 'info');
+        } finally {
+            showLoading(false);
+        }
+        
+        printWindow.document.open();
+        printWindow.document.write(buildWorkPacketHtml(features, mapImage));
+        printWindow.document.close();
+        printWindow.focus();
+        // Printing before the map sheet has decoded leaves a blank first page
+        const mapSheet = printWindow.document.querySelector('.map-sheet');
+        if (mapSheet && !mapSheet.complete) {
+            mapSheet.onload = mapSheet.onerror = () => printWindow.print();
+        } else {
+            printWindow.print();
+        }
+    }
+
+    async function captureMapSheet(features) {
+        const located = features.filter(feature => feature.geometry);
+        if (!located.length) return null;
+        
+        const previousViewpoint = view.viewpoint.clone();
+        const { top, right, bottom, left } = view.padding;
+        const previousPadding = { top, right, bottom, left };
+        const labelLayer = new GraphicsLayer({ listMode: "hide" });
+        features.forEach((feature, index) => {
+            if (!feature.geometry) return;
+            labelLayer.addMany([
+                new Graphic({
+                    geometry: feature.geometry,
+                    symbol: new SimpleMarkerSymbol({ color: "#212529", size: 18, outline: { color: "white", width: 1.5 } })
+                }),
+                new Graphic({
+                    geometry: feature.geometry,
+                    symbol: {
+                        type: "text",
+                        text: String(index + 1),
+                        color: "white",
+                        yoffset: -3,
+                        font: { size: 8, weight: "bold", family: "sans-serif" }
+                    }
+                })
+            ]);
+        });
+        map.add(labelLayer);
+        try {
+            view.padding = { top: 40, right: 40, bottom: 40, left: 40 };
+            await view.goTo(located.map(feature => feature.geometry), { animate: false });
+            if (view.zoom > 19) view.zoom = 19;
+            await reactiveUtils.whenOnce(() => !view.updating);
+            const screenshot = await view.takeScreenshot({ format: "png" });
+            return screenshot.dataUrl;
+        } finally {
+            map.remove(labelLayer);
+            labelLayer.destroy();
+            view.padding = previousPadding;
+            await view.goTo(previousViewpoint, { animate: false });
+        }
+    }
+
+    function buildWorkPacketHtml(features, mapImage) {
+        const fieldNames = config.fieldNames;
+        const printedAt = new Date().toLocaleString();
+        const rows = features.map((feature, index) => {
+            const attributes = feature.attributes;
+            return `
+                <tr>
+                    <td class="num">${index + 1}</td>
+                    <td>${escapeHtml(attributes[fieldNames.address] || '')}</td>
+                    <td>${escapeHtml(attributes[fieldNames.account] || '')}</td>
+                    <td>${escapeHtml(attributes[fieldNames.customer] || '')}</td>
+                    <td>${escapeHtml(attributes[fieldNames.accountUpdate] || '')}</td>
+                    <td class="blank"></td>
+                </tr>`;
+        }).join('');
+        const unmapped = features.filter(feature => !feature.geometry).length;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Work Packet - ${escapeHtml(config.title)}</title>
+<style>
+body{font-family:Arial,sans-serif;color:#212529;margin:1.5rem;}
+h1{font-size:1.3rem;margin:0;}
+.meta{font-size:.8rem;color:#6c757d;margin:.25rem 0 1rem;}
+.map-sheet{width:100%;border:1px solid #adb5bd;page-break-after:always;}
+table{width:100%;border-collapse:collapse;font-size:.8rem;}
+th,td{border:1px solid #adb5bd;padding:.35rem .5rem;text-align:left;vertical-align:top;}
+th{background:#e9ecef;}
+tr{page-break-inside:avoid;}
+td.num{width:2rem;text-align:center;font-weight:bold;}
+td.blank{width:25%;height:1.6rem;}
+@media print{body{margin:0;}}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(config.title)} - Work Packet</h1>
+<div class="meta">${escapeHtml(config.profileName)} · ${features.length.toLocaleString()} meter(s) · Printed ${escapeHtml(printedAt)}${unmapped ? ` · ${unmapped} meter(s) have no location and are not on the map` : ''}</div>
+${mapImage ? `<img class="map-sheet" src="${mapImage}" alt="Map of the meters in this packet">` : ''}
+<table>
+<thead><tr><th>#</th><th>Address</th><th>Account</th><th>Customer</th><th>Current Update</th><th>New Account Update</th></tr></thead>
+<tbody>${rows}</tbody>
+</table>
+</body>
+</html>`;
     }
 
     function initEventListeners() {
         debugLog('Initializing event listeners...', 'info');
         document.getElementById('closeDetails').addEventListener('click', closeMeterDetails);
         document.getElementById('resetView').addEventListener('click', () => {
-            view.goTo({ center: [-97.3238, 27.8772], zoom: 13 });
+            view.goTo({ center: config.mapCenter, zoom: config.mapZoom });
+        });
+        document.getElementById('pendingBadge').addEventListener('click', replayQueuedEdits);
+        window.addEventListener('beforeunload', (e) => {
+            if (isDetailsDirty()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+        window.addEventListener('online', () => {
+            debugLog('Connection restored - syncing queued edits', 'info');
+            replayQueuedEdits();
+        });
+        window.addEventListener('offline', () => {
+            debugLog('Connection lost - edits will be queued on this device', 'warning');
         });
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.search-container')) {
@@ -469,16 +3300,85 @@ require([
     }
 
     function updateStats() {
-        const totalCount = window.allFeatures ? window.allFeatures.length : 0;
-        const updatedCount = window.allFeatures ? window.allFeatures.filter(feature => {
-            const value = feature.attributes[config.fieldNames.accountUpdate];
-            return value && value.toString().trim() !== "";
-        }).length : 0;
+        const features = getFilteredFeatures();
+        const totalCount = features.length;
+        const updatedCount = features.filter(isUpdated).length;
+        document.getElementById('totalMetersLabel').textContent = isFilterActive() ? 'Filtered Meters' : 'Total Meters';
         document.getElementById('totalMeters').textContent = totalCount.toLocaleString();
         document.getElementById('updatedMeters').textContent = updatedCount.toLocaleString();
         debugLog(`Stats updated: ${totalCount} total, ${updatedCount} updated`, 'success');
     }
 
+    function escapeHtml(value) {
+        return (value === null || value === undefined ? '' : value.toString())
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function parseCsv(text) {
+        const rows = [];
+        let row = [], cell = '', inQuotes = false;
+        text = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    function toCsv(rows) {
+        return rows.map(row => row.map(value => {
+            const text = value === null || value === undefined ? '' : value.toString();
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+
+    function downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        debugLog(`Downloaded ${fileName}`, 'success');
+    }
+
+    function isUpdated(feature) {
+        const value = feature.attributes[config.fieldNames.accountUpdate];
+        return !!(value && value.toString().trim() !== "");
+    }
+
     function showLoading(show, message = 'Loading...') {
         const loading = document.getElementById('loadingIndicator');
         if (show) {
@@ -489,21 +3389,31 @@ require([
         }
     }
 
-    function showToast(message, type = 'info') {
+    function showToast(message, type = 'info', action = null) {
         const toast = document.createElement('div');
         toast.className = `toast toast-${type}`;
         toast.innerHTML = `
             <div class="toast-content">
                 <span class="toast-icon">${type === 'success' ? '✅' : type === 'error' ? '❌' : 'ℹ️'}</span>
                 <span class="toast-message">${message}</span>
+                ${action ? `<button class="toast-action">${escapeHtml(action.label)}</button>` : ''}
             </div>
         `;
         document.body.appendChild(toast);
-        setTimeout(() => toast.classList.add('show'), 100);
-        setTimeout(() => {
+        const dismiss = () => {
+            if (!toast.parentNode) return;
             toast.classList.remove('show');
-            setTimeout(() => document.body.removeChild(toast), 300);
-        }, 3000); // Shorter display time
+            setTimeout(() => toast.parentNode && document.body.removeChild(toast), 300);
+        };
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                dismiss();
+                action.onClick();
+            });
+        }
+        setTimeout(() => toast.classList.add('show'), 100);
+        // Leave actionable toasts up long enough to reach the button
+        setTimeout(dismiss, action ? 8000 : 3000);
     }
 
 }, function(error) {